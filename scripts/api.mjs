@@ -0,0 +1,231 @@
+/**
+ * Public API for Token Light Condition
+ * Exposed as game.modules.get('tokenlightcondition').api
+ */
+
+import { LightingDashboard } from './apps/lighting-dashboard.mjs';
+import { MODULE } from './constants.mjs';
+import { log } from './logger.mjs';
+import { SystemAdapters } from './systems/adapters.mjs';
+import TokenLightConditionModule from './token-light-condition.mjs';
+import { Dnd5eIntegration } from './systems/dnd5e.mjs';
+import { LightingCleanup } from './utils/cleanup.mjs';
+import { TokenHelpers } from './utils/helpers.mjs';
+import { LightTiers } from './utils/light-tiers.mjs';
+import { LightOverrides } from './utils/overrides.mjs';
+import { LightingCalculator } from './utils/lighting.mjs';
+import { PerceptionCalculator } from './utils/perception.mjs';
+
+/**
+ * Public API for querying and refreshing token light levels
+ * Other modules should listen to the 'tokenlightcondition.lightLevelChanged' hook instead of polling flags
+ */
+export class TokenLightConditionAPI {
+  /**
+   * Get the stored light level of a token
+   * The light level is stored on the token document, so documents of tokens on other scenes can be read too
+   * @param {Token|TokenDocument|string} token - The token, its document, or its ID on the current scene
+   * @returns {string|null} The light tier ID, such as 'bright', 'dim', or 'dark', or null if not tracked
+   */
+  static getLightLevel(token) {
+    if (token instanceof foundry.abstract.Document) return token.getFlag(MODULE.ID, 'lightLevel') ?? null;
+
+    const resolvedToken = this._resolveToken(token);
+    return TokenHelpers.getStoredLightLevel(resolvedToken) ?? null;
+  }
+
+  /**
+   * Calculate the light level a token would have at a given position without applying anything
+   * @param {Token|TokenDocument|string} token - The token, its document, or its ID on the current scene
+   * @param {Object} [position={}] - Position to test, defaults to the token's current position
+   * @param {number} [position.x] - Top-left x coordinate, as in TokenDocument#x
+   * @param {number} [position.y] - Top-left y coordinate, as in TokenDocument#y
+   * @param {number} [position.elevation] - Elevation in scene distance units
+   * @returns {Promise<string|null>} The light level ('bright', 'dim', or 'dark') or null if the token is not on the canvas
+   */
+  static async computeLightLevel(token, position = {}) {
+    const resolvedToken = this._resolveToken(token);
+    if (!resolvedToken) {
+      log(2, 'Cannot compute light level - token not found on the current scene');
+      return null;
+    }
+
+    return LightingCalculator.determineLightLevel(resolvedToken, position);
+  }
+
+  /**
+   * Get the light level of a target as perceived by an observer, accounting for darkvision and other senses
+   * @param {Token|TokenDocument|string} observer - The observing token
+   * @param {Token|TokenDocument|string} target - The observed token
+   * @returns {Promise<string|null>} The perceived light level ('bright', 'dim', or 'dark') or null if a token is not on the canvas
+   */
+  static async getPerceivedLightLevel(observer, target) {
+    const resolvedObserver = this._resolveToken(observer);
+    const resolvedTarget = this._resolveToken(target);
+    if (!resolvedObserver || !resolvedTarget) {
+      log(2, 'Cannot compute perceived light level - token not found on the current scene');
+      return null;
+    }
+
+    return PerceptionCalculator.getPerceivedLightLevel(resolvedObserver, resolvedTarget);
+  }
+
+  /**
+   * Get the senses of a token that affect perceived light levels
+   * @param {Token|TokenDocument|string} token - The token, its document, or its ID on the current scene
+   * @returns {Object<string, number>|null} Sense ranges in scene units keyed by sense, or null if the token is not on the canvas
+   */
+  static getSenses(token) {
+    const resolvedToken = this._resolveToken(token);
+    return resolvedToken ? PerceptionCalculator.getSenses(resolvedToken) : null;
+  }
+
+  /**
+   * Get an observer's passive Perception against a target (D&D 5e only)
+   * Includes the -5 dim light penalty when that rule is enabled, from the observer's lighting effect or the target's perceived light
+   * @param {Token|TokenDocument|string} observer - The observing token
+   * @param {Token|TokenDocument|string} target - The observed token
+   * @returns {Promise<number|null>} The passive Perception or null if unavailable
+   */
+  static async getPassivePerception(observer, target) {
+    const resolvedObserver = this._resolveToken(observer);
+    const resolvedTarget = this._resolveToken(target);
+    if (game.system.id !== 'dnd5e' || !resolvedObserver || !resolvedTarget) return null;
+
+    return Dnd5eIntegration.getPassivePerception(resolvedObserver, resolvedTarget);
+  }
+
+  /**
+   * Recalculate lighting for some or all tokens on the current scene (GM only)
+   * @param {Array<Token|TokenDocument|string>|Token|TokenDocument|string} [tokens] - Tokens to refresh, defaults to all tokens
+   * @returns {Promise<void>}
+   */
+  static async refresh(tokens) {
+    if (!game.user.isGM) {
+      log(2, 'Only a GM can refresh token lighting');
+      return;
+    }
+
+    if (tokens === undefined) {
+      await LightingCalculator.refreshAllTokenLighting();
+      return;
+    }
+
+    const resolvedTokens = [tokens]
+      .flat()
+      .map((token) => this._resolveToken(token))
+      .filter(Boolean);
+    await Promise.all(resolvedTokens.map((token) => LightingCalculator.calculateTokenLighting(token, { refresh: true })));
+  }
+
+  /**
+   * Lock a token's light level so lighting calculations do not change it (GM only)
+   * @param {Token|TokenDocument|string} token - The token, its document, or its ID on the current scene
+   * @param {string} level - The light tier ID
+   * @param {Object} [options={}] - Override options
+   * @param {string} [options.duration='permanent'] - 'permanent', 'rounds', or 'move' for until the token moves
+   * @param {number} [options.rounds=1] - Number of rounds in the active combat, for the 'rounds' duration
+   * @returns {Promise<boolean>} True if the light level was locked
+   */
+  static async lockLightLevel(token, level, options = {}) {
+    const resolvedToken = this._resolveToken(token);
+    if (!game.user.isGM || !resolvedToken) {
+      log(2, 'Cannot lock light level - requires a GM and a token on the current scene');
+      return false;
+    }
+
+    return LightOverrides.set(resolvedToken, level, options);
+  }
+
+  /**
+   * Remove the light level lock of a token (GM only)
+   * @param {Token|TokenDocument|string} token - The token, its document, or its ID on the current scene
+   * @returns {Promise<void>}
+   */
+  static async unlockLightLevel(token) {
+    const resolvedToken = this._resolveToken(token);
+    if (!game.user.isGM || !resolvedToken) {
+      log(2, 'Cannot unlock light level - requires a GM and a token on the current scene');
+      return;
+    }
+
+    await LightOverrides.clear(resolvedToken);
+  }
+
+  /**
+   * Open the lighting dashboard listing the tracked tokens of the current scene (GM only)
+   * @returns {Promise<LightingDashboard|undefined>} The rendered dashboard
+   */
+  static async openDashboard() {
+    if (!game.user.isGM) {
+      log(2, 'Only a GM can open the lighting dashboard');
+      return;
+    }
+
+    return LightingDashboard.open();
+  }
+
+  /**
+   * Find lighting effects and flags left behind on world actors, tokens of every scene, and unlocked world actor compendiums (GM only)
+   * @param {Object} [options={}] - Cleanup options
+   * @param {boolean} [options.dryRun=true] - Only report the problems, set to false to remove or repair them
+   * @returns {Promise<Object[]>} Report entries with {uuid, name, location, problem, action, count}
+   */
+  static async cleanup({ dryRun = true } = {}) {
+    if (!game.user.isGM) {
+      log(2, 'Only a GM can clean up lighting data');
+      return [];
+    }
+
+    const entries = await LightingCleanup.scan();
+    if (!dryRun) await LightingCleanup.apply(entries);
+    return entries;
+  }
+
+  /**
+   * Register an adapter that supports another game system, or replaces a built-in adapter
+   * Adapters should be registered during the init or setup hook, before one is selected at ready
+   * @param {string} systemId - The game system ID, e.g. 'pf1'
+   * @param {Object} adapter - Adapter implementing any of init, apply, getEffectData, clear, isAlive, and senses
+   * @param {Function} [adapter.init] - async () => void, initialize the effects system
+   * @param {Function} [adapter.apply] - async (token, effectType) => void, add the effect of a light tier such as 'dim' or 'dark' to a token
+   * @param {Function} [adapter.getEffectData] - async (token, effectType) => {effects, items}, the active effect and item data apply
+   *   would create. Queued tokens are compared with it and written in batches. An adapter with apply but without getEffectData
+   *   has its effects cleared and applied one token at a time
+   * @param {Function} [adapter.clear] - async (token) => void, remove all lighting effects from a token
+   * @param {Function} [adapter.isAlive] - (actor) => boolean, whether an actor is alive
+   * @param {Function} [adapter.senses] - (actor) => Object<string, number>, sense ranges such as { darkvision: 60 }
+   * @returns {boolean} True if the adapter was registered
+   */
+  static registerSystemAdapter(systemId, adapter) {
+    return SystemAdapters.register(systemId, adapter);
+  }
+
+  /**
+   * Get the configured light tiers, light levels are the IDs of these tiers
+   * @returns {Object[]} Tiers from darkest to brightest with {id, label, icon, radius, scale, effect}
+   */
+  static getLightTiers() {
+    return foundry.utils.deepClone(LightTiers.getAll());
+  }
+
+  /**
+   * Get module statistics for debugging, including the selected system adapter
+   * @returns {Object} Module statistics
+   */
+  static getStats() {
+    return TokenLightConditionModule.getStats();
+  }
+
+  /**
+   * Resolve a token reference to a placed Token on the current canvas
+   * @param {Token|TokenDocument|string} token - The token reference
+   * @returns {Token|undefined} The placed token
+   * @private
+   */
+  static _resolveToken(token) {
+    if (typeof token === 'string') return canvas.tokens?.get(token);
+    if (token instanceof foundry.abstract.Document) return token.object ?? undefined;
+    return token ?? undefined;
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Effect templates configuration app for Token Light Condition module
+ * Lets the GM customize the lighting effects applied to tokens
+ */
+
+import { TEMPLATES } from '../constants.mjs';
+import { log } from '../logger.mjs';
+import { EffectTemplates } from '../utils/effect-templates.mjs';
+import { TokenHelpers } from '../utils/helpers.mjs';
+import { LightTiers } from '../utils/light-tiers.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM form for editing the name, icon, description, statuses, and changes of each lighting effect
+ * Edits are kept in the app until the form is saved
+ */
+export class EffectTemplatesConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: 'tokenlightcondition-effect-templates',
+    tag: 'form',
+    classes: ['tokenlightcondition', 'effect-templates-config'],
+    window: {
+      title: 'TOKENLIGHTCONDITION.EffectTemplates.Title',
+      icon: 'fas fa-wand-magic-sparkles',
+      resizable: true
+    },
+    position: { width: 600, height: 'auto' },
+    form: {
+      handler: this._onSubmit,
+      submitOnChange: false,
+      closeOnSubmit: true
+    },
+    actions: {
+      addChange: this._onAddChange,
+      deleteChange: this._onDeleteChange,
+      importEffect: this._onImportEffect,
+      reset: this._onReset
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    form: { template: TEMPLATES.EFFECT_TEMPLATES, scrollable: ['.effect-templates'] }
+  };
+
+  /** @type {Object<string, Object>} Templates being edited, keyed by effect type */
+  templates = EffectTemplates.getAll();
+
+  /** @override */
+  async _prepareContext(options) {
+    const modes = Object.fromEntries(Object.entries(CONST.ACTIVE_EFFECT_MODES).map(([key, value]) => [value, `EFFECT.MODE_${key}`]));
+
+    const effects = EffectTemplates.TYPES.map((effectType) => {
+      const template = this.templates[effectType];
+      return {
+        ...template,
+        type: effectType,
+        label: LightTiers.getLabel(effectType),
+        disabled: !EffectTemplates.isEnabled(effectType),
+        statuses: template.statuses.join(', ')
+      };
+    });
+
+    return { effects, modes };
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+
+    // Accept effects and items dragged from the sidebar or a compendium onto the import fields
+    this.element.querySelectorAll('input.import-uuid').forEach((input) => {
+      input.addEventListener('drop', (event) => {
+        event.preventDefault();
+        try {
+          const data = JSON.parse(event.dataTransfer.getData('text/plain'));
+          if (data.uuid) input.value = data.uuid;
+        } catch (error) {
+          log(2, 'Dropped data is not a document');
+        }
+      });
+    });
+  }
+
+  /**
+   * Read the current form values into the templates being edited
+   * @private
+   */
+  _syncFromForm() {
+    const FormDataClass = foundry.applications.ux?.FormDataExtended ?? FormDataExtended;
+    const formData = new FormDataClass(this.element);
+    this.templates = this._parseFormData(foundry.utils.expandObject(formData.object));
+  }
+
+  /**
+   * Convert expanded form data into templates
+   * @param {Object} data - Expanded form data keyed by effect type
+   * @returns {Object<string, Object>} Templates keyed by effect type
+   * @private
+   */
+  _parseFormData(data) {
+    return Object.fromEntries(
+      EffectTemplates.TYPES.map((effectType) => {
+        const effectData = data[effectType] ?? {};
+        const changes = Object.values(effectData.changes ?? {}).map((change) => ({
+          key: change.key ?? '',
+          mode: Number(change.mode),
+          value: String(change.value ?? ''),
+          priority: Number.isFinite(change.priority) ? change.priority : null
+        }));
+
+        return [
+          effectType,
+          {
+            name: effectData.name ?? '',
+            img: effectData.img ?? '',
+            description: effectData.description ?? '',
+            statuses: TokenHelpers.parseList(effectData.statuses),
+            changes
+          }
+        ];
+      })
+    );
+  }
+
+  /**
+   * Save the templates, ignoring changes without an attribute key
+   * @param {SubmitEvent} event - The submit event
+   * @param {HTMLFormElement} form - The form element
+   * @param {FormDataExtended} formData - The submitted form data
+   * @private
+   */
+  static async _onSubmit(event, form, formData) {
+    const templates = this._parseFormData(foundry.utils.expandObject(formData.object));
+    for (const template of Object.values(templates)) {
+      template.changes = template.changes.filter((change) => change.key);
+    }
+
+    await EffectTemplates.save(templates);
+  }
+
+  /**
+   * Add an empty change to an effect
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   * @private
+   */
+  static _onAddChange(event, target) {
+    this._syncFromForm();
+    this.templates[target.dataset.type].changes.push({ key: '', mode: CONST.ACTIVE_EFFECT_MODES.ADD, value: '', priority: null });
+    this.render();
+  }
+
+  /**
+   * Remove a change from an effect
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   * @private
+   */
+  static _onDeleteChange(event, target) {
+    this._syncFromForm();
+    this.templates[target.dataset.type].changes.splice(Number(target.dataset.index), 1);
+    this.render();
+  }
+
+  /**
+   * Replace an effect's template with an existing effect or the first effect of an item
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   * @private
+   */
+  static async _onImportEffect(event, target) {
+    const effectType = target.dataset.type;
+    const uuid = this.element.querySelector(`input.import-uuid[data-type="${effectType}"]`)?.value.trim();
+    if (!uuid) return;
+
+    this._syncFromForm();
+    const imported = await EffectTemplates.importFromUuid(uuid);
+    if (!imported) {
+      ui.notifications.warn(game.i18n.format('TOKENLIGHTCONDITION.EffectTemplates.ImportFailed', { uuid }));
+      return;
+    }
+
+    Object.assign(this.templates[effectType], imported);
+    this.render();
+  }
+
+  /**
+   * Restore the built-in templates, saved once the form is submitted
+   * @private
+   */
+  static _onReset() {
+    this.templates = Object.fromEntries(EffectTemplates.TYPES.map((effectType) => [effectType, EffectTemplates.getDefault(effectType)]));
+    this.render();
+  }
+}
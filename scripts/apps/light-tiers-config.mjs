@@ -0,0 +1,187 @@
+/**
+ * Light tiers configuration app for Token Light Condition module
+ * Lets the GM add, remove, and reorder the light levels tokens can be in
+ */
+
+import { LIGHT_TIERS, TEMPLATES } from '../constants.mjs';
+import { LightTiers } from '../utils/light-tiers.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM form for editing the light tiers from darkest to brightest
+ * The core dark, dim, and bright tiers keep their ID, order, and light radius
+ */
+export class LightTiersConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: 'tokenlightcondition-light-tiers',
+    tag: 'form',
+    classes: ['tokenlightcondition', 'light-tiers-config'],
+    window: {
+      title: 'TOKENLIGHTCONDITION.LightTiers.Title',
+      icon: 'fas fa-layer-group',
+      resizable: true
+    },
+    position: { width: 720, height: 'auto' },
+    form: {
+      handler: this._onSubmit,
+      submitOnChange: false,
+      closeOnSubmit: false
+    },
+    actions: {
+      addTier: this._onAddTier,
+      deleteTier: this._onDeleteTier,
+      moveTier: this._onMoveTier,
+      reset: this._onReset
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    form: { template: TEMPLATES.LIGHT_TIERS }
+  };
+
+  /** @type {Object[]} Tiers being edited, from darkest to brightest */
+  tiers = foundry.utils.deepClone(LightTiers.getAll());
+
+  /** @override */
+  async _prepareContext(options) {
+    const coreIds = Object.values(LIGHT_TIERS.CORE);
+    const tiers = this.tiers.map((tier, index) => ({
+      ...tier,
+      index,
+      label: game.i18n.localize(tier.label),
+      isCore: coreIds.includes(tier.id),
+      isFirst: index === 0,
+      isLast: index === this.tiers.length - 1
+    }));
+
+    const radii = {
+      [LIGHT_TIERS.RADIUS.NONE]: 'TOKENLIGHTCONDITION.LightTiers.Radius.Choices.None',
+      [LIGHT_TIERS.RADIUS.DIM]: 'TOKENLIGHTCONDITION.LightTiers.Radius.Choices.Dim',
+      [LIGHT_TIERS.RADIUS.BRIGHT]: 'TOKENLIGHTCONDITION.LightTiers.Radius.Choices.Bright'
+    };
+
+    return { tiers, radii };
+  }
+
+  /**
+   * Read the current form values into the tiers being edited
+   * @private
+   */
+  _syncFromForm() {
+    const FormDataClass = foundry.applications.ux?.FormDataExtended ?? FormDataExtended;
+    const formData = new FormDataClass(this.element);
+    this.tiers = this._parseFormData(foundry.utils.expandObject(formData.object));
+  }
+
+  /**
+   * Convert expanded form data into tiers
+   * Core tiers keep their default light radius and their localization key while the label is unchanged
+   * @param {Object} data - Expanded form data with tiers keyed by index
+   * @returns {Object[]} Tiers from darkest to brightest
+   * @private
+   */
+  _parseFormData(data) {
+    return Object.values(data.tiers ?? {}).map((tierData) => {
+      const tier = {
+        id: (tierData.id ?? '').trim(),
+        label: (tierData.label ?? '').trim(),
+        icon: (tierData.icon ?? '').trim() || LIGHT_TIERS.DEFAULT_ICON,
+        radius: tierData.radius,
+        scale: tierData.scale,
+        effect: Boolean(tierData.effect)
+      };
+
+      const coreTier = LIGHT_TIERS.DEFAULTS.find((defaultTier) => defaultTier.id === tier.id);
+      if (coreTier) {
+        tier.radius = coreTier.radius;
+        tier.scale = coreTier.scale;
+        if (!tier.label || tier.label === game.i18n.localize(coreTier.label)) tier.label = coreTier.label;
+      }
+
+      return tier;
+    });
+  }
+
+  /**
+   * Validate and save the tiers
+   * @param {SubmitEvent} event - The submit event
+   * @param {HTMLFormElement} form - The form element
+   * @param {FormDataExtended} formData - The submitted form data
+   * @private
+   */
+  static async _onSubmit(event, form, formData) {
+    const tiers = this._parseFormData(foundry.utils.expandObject(formData.object));
+
+    const errors = LightTiers.validate(tiers);
+    if (errors.length) {
+      errors.forEach((error) => ui.notifications.error(game.i18n.localize(error)));
+      return;
+    }
+
+    await LightTiers.save(tiers);
+    await this.close();
+  }
+
+  /**
+   * Add a tier at the bright end of the list
+   * @private
+   */
+  static _onAddTier() {
+    this._syncFromForm();
+
+    let number = this.tiers.length + 1;
+    while (this.tiers.some((tier) => tier.id === `tier-${number}`)) number++;
+
+    this.tiers.push({
+      id: `tier-${number}`,
+      label: game.i18n.localize('TOKENLIGHTCONDITION.LightTiers.NewTier'),
+      icon: LIGHT_TIERS.DEFAULT_ICON,
+      radius: LIGHT_TIERS.RADIUS.NONE,
+      scale: 1,
+      effect: false
+    });
+    this.render();
+  }
+
+  /**
+   * Remove a tier
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   * @private
+   */
+  static _onDeleteTier(event, target) {
+    this._syncFromForm();
+    this.tiers.splice(Number(target.dataset.index), 1);
+    this.render();
+  }
+
+  /**
+   * Swap a tier with its darker or brighter neighbor, core tiers cannot pass each other
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   * @private
+   */
+  static _onMoveTier(event, target) {
+    this._syncFromForm();
+
+    const index = Number(target.dataset.index);
+    const otherIndex = index + Number(target.dataset.direction);
+    const coreIds = Object.values(LIGHT_TIERS.CORE);
+    if (!this.tiers[otherIndex] || [index, otherIndex].every((i) => coreIds.includes(this.tiers[i].id))) return;
+
+    [this.tiers[index], this.tiers[otherIndex]] = [this.tiers[otherIndex], this.tiers[index]];
+    this.render();
+  }
+
+  /**
+   * Restore the default tiers, saved once the form is submitted
+   * @private
+   */
+  static _onReset() {
+    this.tiers = foundry.utils.deepClone(LIGHT_TIERS.DEFAULTS);
+    this.render();
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Lighting breakdown popover for Token Light Condition module
+ * Explains to the GM how a token's light level was calculated
+ */
+
+import { TEMPLATES } from '../constants.mjs';
+import { TokenHelpers } from '../utils/helpers.mjs';
+import { LightTiers } from '../utils/light-tiers.mjs';
+import { LightingCalculator } from '../utils/lighting.mjs';
+import { LightOverrides } from '../utils/overrides.mjs';
+import { LightingZones } from '../utils/zones.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM popover listing the light sources, global illumination, tiles, and zones behind a token's light level
+ * The breakdown is recalculated each time the popover renders
+ */
+export class LightingBreakdown extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    classes: ['tokenlightcondition', 'lighting-breakdown'],
+    window: {
+      icon: 'fas fa-magnifying-glass',
+      resizable: true
+    },
+    position: { width: 480, height: 'auto' },
+    actions: {
+      lock: this._onLock,
+      refresh: this._onRefresh
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    breakdown: { template: TEMPLATES.LIGHTING_BREAKDOWN, scrollable: ['.breakdown-points'] }
+  };
+
+  /** @type {Object<string, string>} Localization keys of the light statuses recorded by the calculation */
+  static LIGHT_STATUSES = {
+    lit: 'TOKENLIGHTCONDITION.Breakdown.Status.Lit',
+    blocked: 'TOKENLIGHTCONDITION.Breakdown.Status.Blocked',
+    outsideCone: 'TOKENLIGHTCONDITION.Breakdown.Status.OutsideCone',
+    outsideShape: 'TOKENLIGHTCONDITION.Breakdown.Status.OutsideShape'
+  };
+
+  /**
+   * @param {Token} token - The token to explain
+   * @param {Object} [options] - Application options
+   */
+  constructor(token, options = {}) {
+    super({ ...options, id: `tokenlightcondition-breakdown-${token.id}` });
+    this.token = token;
+  }
+
+  /** @override */
+  get title() {
+    return game.i18n.format('TOKENLIGHTCONDITION.Breakdown.Title', { name: this.token.name });
+  }
+
+  /**
+   * Open the breakdown of a token, next to the click that opened it when given
+   * An already open breakdown of the token is refreshed instead
+   * @param {Token} token - The token to explain
+   * @param {MouseEvent} [event] - The click that opened the popover
+   * @returns {Promise<LightingBreakdown>} The rendered popover
+   */
+  static async open(token, event) {
+    const existing = foundry.applications.instances.get(`tokenlightcondition-breakdown-${token.id}`);
+    if (existing) return existing.render({ force: true });
+
+    const position = event ? { left: event.clientX + 16, top: Math.max(event.clientY - 40, 0) } : {};
+    return new this(token, { position }).render({ force: true });
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const breakdown = await LightingCalculator.explainLightLevel(this.token);
+    const override = LightOverrides.get(this.token);
+    const points = breakdown.points ?? [];
+
+    return {
+      level: this._prepareLevel(breakdown.level),
+      override: override ? LightOverrides.describe(override) : null,
+      mode: TokenHelpers.getSamplingModeChoices()[breakdown.mode],
+      rule: TokenHelpers.getCoverageRuleChoices()[breakdown.rule],
+      units: canvas.scene?.grid.units ?? '',
+      points: points.map((point, index) => this._preparePoint(point, points.length > 1 ? index + 1 : null))
+    };
+  }
+
+  /**
+   * Prepare one sample point of the breakdown for display
+   * @param {Object} point - The sample point breakdown
+   * @param {number|null} number - The point's number, null when the token has a single sample point
+   * @returns {Object} Template data for the point
+   * @private
+   */
+  _preparePoint(point, number) {
+    const modes = LightingZones.getModeChoices();
+
+    return {
+      number,
+      x: Math.round(point.x),
+      y: Math.round(point.y),
+      globalIllumination: point.globalIllumination,
+      restrictingTile: point.restrictingTile,
+      baseline: point.baseline ? LightTiers.getLabel(point.baseline) : null,
+      level: this._prepareLevel(point.level),
+      lights: point.lights.map((light) => ({
+        name: light.name ?? game.i18n.format('TOKENLIGHTCONDITION.Breakdown.AmbientLight', { id: light.id }),
+        icon: light.isTokenLight ? 'fas fa-user' : 'fas fa-lightbulb',
+        distance: this._toSceneUnits(light.distance),
+        dimRadius: this._toSceneUnits(light.dimRadius),
+        brightRadius: this._toSceneUnits(light.brightRadius),
+        isNegativeLight: light.isNegativeLight,
+        status: this.constructor.LIGHT_STATUSES[light.status],
+        level: LightTiers.getLabel(light.level),
+        changed: light.changed
+      })),
+      zones: point.zones.map((zone) => ({ ...zone, mode: modes[zone.mode], level: LightTiers.getLabel(zone.level) }))
+    };
+  }
+
+  /**
+   * Prepare a light level for display
+   * @param {string} level - The light tier ID
+   * @returns {Object} The level's {id, label, icon}
+   * @private
+   */
+  _prepareLevel(level) {
+    return { id: level, label: LightTiers.getLabel(level), icon: LightTiers.getIcon(level) };
+  }
+
+  /**
+   * Convert a canvas distance to scene units
+   * @param {number} pixels - The distance in pixels
+   * @returns {number} The distance in scene units, rounded to one decimal
+   * @private
+   */
+  _toSceneUnits(pixels) {
+    return Math.round((pixels / canvas.dimensions.distancePixels) * 10) / 10;
+  }
+
+  /**
+   * Open the lock dialog for the token and show the result
+   * @this {LightingBreakdown}
+   * @private
+   */
+  static async _onLock() {
+    await LightOverrides.openDialog(this.token);
+    this.render();
+  }
+
+  /**
+   * Recalculate the breakdown
+   * @this {LightingBreakdown}
+   * @private
+   */
+  static _onRefresh() {
+    this.render();
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Lighting cleanup app for Token Light Condition module
+ * Shows the GM a dry-run report of stale lighting data before removing or repairing it
+ */
+
+import { TEMPLATES } from '../constants.mjs';
+import { LightingCleanup } from '../utils/cleanup.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM window listing the problems found by a cleanup scan
+ * Nothing changes until the selected entries are applied, after which the world is scanned again
+ */
+export class LightingCleanupConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: 'tokenlightcondition-cleanup',
+    classes: ['tokenlightcondition', 'lighting-cleanup'],
+    window: {
+      title: 'TOKENLIGHTCONDITION.Cleanup.Title',
+      icon: 'fas fa-broom',
+      resizable: true
+    },
+    position: { width: 640, height: 'auto' },
+    actions: {
+      scan: this._onScan,
+      apply: this._onApply
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    cleanup: { template: TEMPLATES.LIGHTING_CLEANUP, scrollable: ['.cleanup-entries'] }
+  };
+
+  /** @type {Object[]|null} Entries of the last scan, null until the first scan */
+  entries = null;
+
+  /** @type {Set<string>} IDs of the entries to apply */
+  selected = new Set();
+
+  /** @override */
+  async _prepareContext(options) {
+    if (!this.entries) await this._scan();
+
+    return {
+      entries: this.entries.map((entry) => ({
+        ...entry,
+        problem: `TOKENLIGHTCONDITION.Cleanup.Problems.${entry.problem}`,
+        action: `TOKENLIGHTCONDITION.Cleanup.Actions.${entry.action === LightingCleanup.ACTIONS.REPAIR ? 'Repair' : 'Remove'}`,
+        selected: this.selected.has(entry.id)
+      }))
+    };
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+
+    this.element.querySelectorAll('input.entry-select').forEach((checkbox) => {
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) this.selected.add(checkbox.dataset.entryId);
+        else this.selected.delete(checkbox.dataset.entryId);
+      });
+    });
+  }
+
+  /**
+   * Scan the world and select every entry found
+   * @private
+   */
+  async _scan() {
+    this.entries = await LightingCleanup.scan();
+    this.selected = new Set(this.entries.map((entry) => entry.id));
+  }
+
+  /**
+   * Scan the world again
+   * @this {LightingCleanupConfig}
+   * @private
+   */
+  static async _onScan() {
+    await this._scan();
+    this.render();
+  }
+
+  /**
+   * Remove or repair the selected entries, then scan again
+   * @this {LightingCleanupConfig}
+   * @private
+   */
+  static async _onApply() {
+    const entries = this.entries.filter((entry) => this.selected.has(entry.id));
+    if (!entries.length) return;
+
+    const applied = await LightingCleanup.apply(entries);
+    ui.notifications.info(game.i18n.format('TOKENLIGHTCONDITION.Cleanup.Applied', { count: applied }));
+
+    await this._scan();
+    this.render();
+  }
+}
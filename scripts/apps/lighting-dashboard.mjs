@@ -0,0 +1,284 @@
+/**
+ * Lighting dashboard app for Token Light Condition module
+ * Gives the GM an overview of the light level of every tracked token on the scene
+ */
+
+import { HOOKS, TEMPLATES } from '../constants.mjs';
+import { EffectsManager } from '../utils/effects.mjs';
+import { EffectTemplates } from '../utils/effect-templates.mjs';
+import { TokenHelpers } from '../utils/helpers.mjs';
+import { LightTiers } from '../utils/light-tiers.mjs';
+import { LightingCalculator } from '../utils/lighting.mjs';
+import { LightOverrides } from '../utils/overrides.mjs';
+import { LightingBreakdown } from './lighting-breakdown.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM window listing tracked tokens with their light level, lock, effect state, and contributing light sources
+ * Rerenders while open whenever a light level, lock, or lighting effect changes
+ */
+export class LightingDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: 'tokenlightcondition-dashboard',
+    classes: ['tokenlightcondition', 'lighting-dashboard'],
+    window: {
+      title: 'TOKENLIGHTCONDITION.Dashboard.Title',
+      icon: 'fas fa-table-list',
+      resizable: true
+    },
+    position: { width: 860, height: 600 },
+    actions: {
+      panToToken: this._onPanToToken,
+      explain: this._onExplain,
+      recalculate: this._onRecalculate,
+      clear: this._onClear,
+      lock: this._onLock
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    dashboard: { template: TEMPLATES.LIGHTING_DASHBOARD, scrollable: ['.dashboard-tokens'] }
+  };
+
+  /** @type {string[]} Document hooks after which the dashboard rerenders */
+  static RENDER_HOOKS = ['createToken', 'updateToken', 'deleteToken', 'createActiveEffect', 'deleteActiveEffect', 'createItem', 'deleteItem', 'canvasReady', HOOKS.LIGHT_LEVEL_CHANGED];
+
+  /** @type {Object} Current filters {search, level, sort} */
+  filters = { search: '', level: '', sort: 'name' };
+
+  /** @type {Set<string>} IDs of the selected tokens */
+  selected = new Set();
+
+  /** @type {Object<string, number>} Registered hook IDs keyed by hook name */
+  _hookIds = {};
+
+  /** @type {Function} Rerender the dashboard once a burst of changes is over */
+  _debouncedRender = foundry.utils.debounce(() => this.render(), 200);
+
+  /**
+   * Open the dashboard, or bring it to the front when it is already open
+   * @returns {Promise<LightingDashboard>} The rendered dashboard
+   */
+  static async open() {
+    const existing = foundry.applications.instances.get(this.DEFAULT_OPTIONS.id);
+    if (existing) return existing.render({ force: true });
+    return new this().render({ force: true });
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const { effectQueue } = await import('../token-light-condition.mjs');
+    const rows = await Promise.all(this._getTrackedTokens().map((token) => this._prepareRow(token, effectQueue)));
+
+    const filtered = rows.filter((row) => !this.filters.level || row.level?.id === this.filters.level || (this.filters.level === 'none' && !row.level));
+    filtered.sort((a, b) => (this.filters.sort === 'level' ? b.levelIndex - a.levelIndex : 0) || a.name.localeCompare(b.name));
+
+    // Tokens that are no longer listed cannot stay selected
+    const rowIds = new Set(filtered.map((row) => row.id));
+    for (const id of this.selected) {
+      if (!rowIds.has(id)) this.selected.delete(id);
+    }
+
+    return {
+      rows: filtered,
+      total: rows.length,
+      filters: this.filters,
+      allSelected: filtered.length > 0 && filtered.every((row) => row.selected),
+      levels: { '': 'TOKENLIGHTCONDITION.Dashboard.AllLevels', ...LightTiers.getChoices(), none: 'TOKENLIGHTCONDITION.Dashboard.NoLevel' },
+      sorts: { name: 'TOKENLIGHTCONDITION.Dashboard.Sort.Name', level: 'TOKENLIGHTCONDITION.Dashboard.Sort.Level' }
+    };
+  }
+
+  /** @override */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    for (const hook of this.constructor.RENDER_HOOKS) {
+      this._hookIds[hook] = Hooks.on(hook, () => this._debouncedRender());
+    }
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+
+    const search = this.element.querySelector('input[name="search"]');
+    search.addEventListener('input', () => {
+      this.filters.search = search.value;
+      this._applySearch();
+    });
+    this._applySearch();
+
+    this.element.querySelectorAll('select[name="level"], select[name="sort"]').forEach((select) => {
+      select.addEventListener('change', () => {
+        this.filters[select.name] = select.value;
+        this.render();
+      });
+    });
+
+    this.element.querySelectorAll('input.token-select').forEach((checkbox) => {
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) this.selected.add(checkbox.dataset.tokenId);
+        else this.selected.delete(checkbox.dataset.tokenId);
+      });
+    });
+
+    this.element.querySelector('input.select-all')?.addEventListener('change', (event) => {
+      this.element.querySelectorAll('.dashboard-token:not(.hidden) input.token-select').forEach((checkbox) => {
+        checkbox.checked = event.target.checked;
+        checkbox.dispatchEvent(new Event('change'));
+      });
+    });
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    for (const [hook, id] of Object.entries(this._hookIds)) Hooks.off(hook, id);
+    this._hookIds = {};
+  }
+
+  /**
+   * Get the tokens on the current scene that the module tracks
+   * Checked with isEligibleToken rather than isValidToken, which initializes tokens as a side effect
+   * @returns {Token[]} The tracked tokens
+   * @private
+   */
+  _getTrackedTokens() {
+    if (!canvas.ready) return [];
+    const actorTypes = TokenHelpers.getTrackedActorTypes();
+    return canvas.tokens.placeables.filter((token) => token.actor && actorTypes.includes(token.actor.type) && TokenHelpers.isEligibleToken(token));
+  }
+
+  /**
+   * Prepare the row of one token
+   * @param {Token} token - The token
+   * @param {Object} effectQueue - The effect processing queue
+   * @returns {Promise<Object>} Template data for the row
+   * @private
+   */
+  async _prepareRow(token, effectQueue) {
+    const levelId = TokenHelpers.getStoredLightLevel(token);
+    const override = LightOverrides.get(token);
+
+    let effect = 'None';
+    if (effectQueue.pendingOperations.has(token.id)) effect = 'Pending';
+    else if (EffectsManager.hasLightingEffect(token)) effect = 'Applied';
+    else if (levelId && !EffectTemplates.isEnabled(levelId)) effect = 'Disabled';
+
+    return {
+      id: token.id,
+      name: token.name,
+      img: token.document.texture.src,
+      level: LightTiers.get(levelId) ? { id: levelId, label: LightTiers.getLabel(levelId), icon: LightTiers.getIcon(levelId) } : null,
+      levelIndex: LightTiers.getIndex(levelId),
+      override: override ? LightOverrides.describe(override) : null,
+      effect: `TOKENLIGHTCONDITION.Dashboard.Effect.${effect}`,
+      sources: await this._getSources(token),
+      selected: this.selected.has(token.id)
+    };
+  }
+
+  /**
+   * Summarize the light sources that currently reach a token, from its lighting breakdown
+   * @param {Token} token - The token
+   * @returns {Promise<string>} Comma separated names of the lights, zones, and global illumination, empty when there are none
+   * @private
+   */
+  async _getSources(token) {
+    const { points = [] } = await LightingCalculator.explainLightLevel(token);
+    const sources = new Set();
+
+    for (const point of points) {
+      if (point.globalIllumination) sources.add(game.i18n.localize('TOKENLIGHTCONDITION.Breakdown.GlobalIllumination'));
+      for (const light of point.lights) {
+        if (light.status === 'lit') sources.add(light.name ?? game.i18n.format('TOKENLIGHTCONDITION.Breakdown.AmbientLight', { id: light.id }));
+      }
+      for (const zone of point.zones) sources.add(zone.name);
+    }
+
+    return [...sources].join(', ');
+  }
+
+  /**
+   * Hide the rows whose token name does not match the search
+   * Done in place so the search field keeps its focus while typing
+   * @private
+   */
+  _applySearch() {
+    const query = this.filters.search.trim().toLowerCase();
+    this.element.querySelectorAll('.dashboard-token[data-token-id]').forEach((row) => {
+      row.classList.toggle('hidden', !!query && !row.dataset.name.toLowerCase().includes(query));
+    });
+  }
+
+  /**
+   * Get the selected tokens, warning when there are none
+   * @returns {Token[]} The selected tokens
+   * @private
+   */
+  _getSelectedTokens() {
+    const tokens = [...this.selected].map((id) => canvas.tokens.get(id)).filter(Boolean);
+    if (!tokens.length) ui.notifications.warn(game.i18n.localize('TOKENLIGHTCONDITION.Dashboard.NoSelection'));
+    return tokens;
+  }
+
+  /**
+   * Pan the canvas to a token and control it
+   * @this {LightingDashboard}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static async _onPanToToken(event, target) {
+    const token = canvas.tokens.get(target.closest('[data-token-id]').dataset.tokenId);
+    if (!token) return;
+
+    token.control({ releaseOthers: true });
+    await canvas.animatePan({ x: token.center.x, y: token.center.y });
+  }
+
+  /**
+   * Open the lighting breakdown of a token
+   * @this {LightingDashboard}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static _onExplain(event, target) {
+    const token = canvas.tokens.get(target.closest('[data-token-id]').dataset.tokenId);
+    if (token) LightingBreakdown.open(token, event);
+  }
+
+  /**
+   * Recalculate the light level of the selected tokens
+   * @this {LightingDashboard}
+   * @private
+   */
+  static async _onRecalculate() {
+    await Promise.all(this._getSelectedTokens().map((token) => LightingCalculator.calculateTokenLighting(token, { refresh: true })));
+  }
+
+  /**
+   * Clear the lighting effects and light level of the selected tokens
+   * @this {LightingDashboard}
+   * @private
+   */
+  static async _onClear() {
+    const { effectQueue } = await import('../token-light-condition.mjs');
+    this._getSelectedTokens().forEach((token) => effectQueue.add(token.id, 'clear'));
+    this._debouncedRender();
+  }
+
+  /**
+   * Lock or unlock the light level of the selected tokens
+   * @this {LightingDashboard}
+   * @private
+   */
+  static async _onLock() {
+    const tokens = this._getSelectedTokens();
+    if (tokens.length) await LightOverrides.openDialog(tokens);
+  }
+}
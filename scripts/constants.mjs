@@ -20,6 +20,48 @@ export const MODULE = {
   LOG_LEVEL: 2
 };
 
+/**
+ * Handlebars template paths
+ * @namespace TEMPLATES
+ */
+export const TEMPLATES = {
+  /** @type {string} Lighting zone tab of the drawing configuration sheet */
+  DRAWING_ZONE: `modules/${MODULE.ID}/templates/drawing-zone.hbs`,
+
+  /** @type {string} Module tab of the token configuration sheet */
+  TOKEN_CONFIG: `modules/${MODULE.ID}/templates/token-config.hbs`,
+
+  /** @type {string} Module tab of the scene configuration sheet */
+  SCENE_CONFIG: `modules/${MODULE.ID}/templates/scene-config.hbs`,
+
+  /** @type {string} Effect templates configuration app */
+  EFFECT_TEMPLATES: `modules/${MODULE.ID}/templates/effect-templates.hbs`,
+
+  /** @type {string} Light tiers configuration app */
+  LIGHT_TIERS: `modules/${MODULE.ID}/templates/light-tiers.hbs`,
+
+  /** @type {string} Light level override dialog */
+  LIGHT_OVERRIDE: `modules/${MODULE.ID}/templates/light-override.hbs`,
+
+  /** @type {string} Lighting breakdown popover of the token HUD */
+  LIGHTING_BREAKDOWN: `modules/${MODULE.ID}/templates/lighting-breakdown.hbs`,
+
+  /** @type {string} Lighting dashboard app */
+  LIGHTING_DASHBOARD: `modules/${MODULE.ID}/templates/lighting-dashboard.hbs`,
+
+  /** @type {string} Lighting cleanup app */
+  LIGHTING_CLEANUP: `modules/${MODULE.ID}/templates/lighting-cleanup.hbs`
+};
+
+/**
+ * Custom hooks fired by the module
+ * @namespace HOOKS
+ */
+export const HOOKS = {
+  /** @type {string} Fired after a token's light level changes, with (token, newLightLevel, previousLightLevel) */
+  LIGHT_LEVEL_CHANGED: 'tokenlightcondition.lightLevelChanged'
+};
+
 /**
  * Settings keys for the module
  * @namespace SETTINGS
@@ -31,6 +73,18 @@ export const SETTINGS = {
   /** @type {string} Show TokenHUD setting */
   SHOW_TOKEN_HUD: 'showTokenHud',
 
+  /** @type {string} Which tokens show a light level badge on the canvas */
+  BADGE_DISPLAY: 'badgeDisplay',
+
+  /** @type {string} Whether light level badges show a label or an icon */
+  BADGE_STYLE: 'badgeStyle',
+
+  /** @type {string} Corner of the token the light level badge is drawn in */
+  BADGE_POSITION: 'badgePosition',
+
+  /** @type {string} Font size of the light level badge */
+  BADGE_SIZE: 'badgeSize',
+
   /** @type {string} Add effects setting */
   ADD_EFFECTS: 'addEffects',
 
@@ -43,54 +97,323 @@ export const SETTINGS = {
   /** @type {string} Negative lights setting */
   NEGATIVE_LIGHTS: 'negativelights',
 
+  /** @type {string} Light polygon detection setting */
+  LIGHT_POLYGONS: 'lightPolygons',
+
+  /** @type {string} Token sampling mode setting */
+  SAMPLING_MODE: 'samplingMode',
+
+  /** @type {string} Sample coverage rule setting */
+  COVERAGE_RULE: 'coverageRule',
+
+  /** @type {string} Scene darkness baseline setting */
+  DARKNESS_BASELINE: 'darknessBaseline',
+
+  /** @type {string} Darkness level threshold for a bright baseline */
+  BRIGHT_THRESHOLD: 'brightThreshold',
+
+  /** @type {string} Darkness level threshold for a dim baseline */
+  DIM_THRESHOLD: 'dimThreshold',
+
+  /** @type {string} Comma-separated actor types that are tracked */
+  TRACKED_ACTOR_TYPES: 'trackedActorTypes',
+
+  /** @type {string} Skip tokens hidden from players */
+  SKIP_HIDDEN: 'skipHidden',
+
+  /** @type {string} Comma-separated status IDs that exclude a token */
+  SKIP_STATUSES: 'skipStatuses',
+
+  /** @type {string} Only track tokens owned by a player */
+  PLAYER_OWNED_ONLY: 'playerOwnedOnly',
+
+  /** @type {string} How a token is determined to be alive */
+  ALIVE_CHECK: 'aliveCheck',
+
+  /** @type {string} Actor data path of the current hit points */
+  HP_PATH: 'hpPath',
+
+  /** @type {string} Treat tokens with the defeated status as dead */
+  DEFEATED_IS_DEAD: 'defeatedIsDead',
+
+  /** @type {string} D&D 5e Perception disadvantage against targets in dim light */
+  DND5E_PERCEPTION_DISADVANTAGE: 'dnd5ePerceptionDisadvantage',
+
+  /** @type {string} D&D 5e passive Perception penalty against targets in dim light */
+  DND5E_PASSIVE_PENALTY: 'dnd5ePassivePenalty',
+
+  /** @type {string} D&D 5e handling of Stealth rolls in bright light */
+  DND5E_STEALTH: 'dnd5eStealth',
+
+  /** @type {string} PF2e concealed condition for tokens perceived in dim light */
+  PF2E_CONCEALMENT: 'pf2eConcealment',
+
+  /** @type {string} PF2e condition for tokens perceived in darkness */
+  PF2E_DARKNESS_CONDITION: 'pf2eDarknessCondition',
+
+  /** @type {string} Customized lighting effect templates */
+  EFFECT_TEMPLATES: 'effectTemplates',
+
+  /** @type {string} Menu opening the effect templates configuration app */
+  EFFECT_TEMPLATES_MENU: 'effectTemplatesMenu',
+
+  /** @type {string} Show lighting status effects as overlay icons */
+  STATUS_OVERLAY: 'statusOverlay',
+
+  /** @type {string} Configured light tiers */
+  LIGHT_TIERS: 'lightTiers',
+
+  /** @type {string} Menu opening the light tiers configuration app */
+  LIGHT_TIERS_MENU: 'lightTiersMenu',
+
+  /** @type {string} Menu opening the lighting cleanup app */
+  CLEANUP_MENU: 'cleanupMenu',
+
+  /** @type {string} Version of the last data migration run in the world */
+  MIGRATION_VERSION: 'migrationVersion',
+
   /** @type {string} Logging level setting */
   LOGGING_LEVEL: 'loggingLevel'
 };
 
 /**
- * Light level constants and mappings
- * @namespace LIGHTING
+ * Light tier configuration
+ * @namespace LIGHT_TIERS
+ */
+export const LIGHT_TIERS = {
+  /** Tiers every configuration keeps, lighting rules such as global illumination and senses are defined by them */
+  CORE: {
+    /** @type {string} Darkness, the level without any light */
+    DARK: 'dark',
+    /** @type {string} Dim light */
+    DIM: 'dim',
+    /** @type {string} Bright light */
+    BRIGHT: 'bright'
+  },
+
+  /** Light source radius a tier is mapped to */
+  RADIUS: {
+    /** @type {string} Not reached by light sources, only by the scene baseline and zones */
+    NONE: 'none',
+    /** @type {string} Within a fraction of the light's dim radius */
+    DIM: 'dim',
+    /** @type {string} Within a fraction of the light's bright radius */
+    BRIGHT: 'bright'
+  },
+
+  /** @type {string} Icon of tiers created in the tier configuration */
+  DEFAULT_ICON: 'fas fa-circle-half-stroke',
+
+  /** @type {Object[]} Default tiers from darkest to brightest */
+  DEFAULTS: [
+    { id: 'dark', label: 'TOKENLIGHTCONDITION.Levels.Dark', icon: 'far fa-moon', radius: 'none', scale: 1, effect: true },
+    { id: 'dim', label: 'TOKENLIGHTCONDITION.Levels.Dim', icon: 'fas fa-moon', radius: 'dim', scale: 1, effect: true },
+    { id: 'bright', label: 'TOKENLIGHTCONDITION.Levels.Bright', icon: 'fas fa-sun', radius: 'bright', scale: 1, effect: false }
+  ]
+};
+
+/**
+ * Lighting zone modes for areas that override calculated light levels
+ * @namespace ZONE_MODES
+ */
+export const ZONE_MODES = {
+  /** @type {string} Always use the zone's light level */
+  FORCE: 'force',
+  /** @type {string} Light level can be no brighter than the zone's level */
+  CAP: 'cap',
+  /** @type {string} Light level can be no darker than the zone's level */
+  FLOOR: 'floor'
+};
+
+/**
+ * Durations of a GM override of a token's light level
+ * @namespace OVERRIDE_DURATIONS
+ */
+export const OVERRIDE_DURATIONS = {
+  /** @type {string} Until the GM clears the override */
+  PERMANENT: 'permanent',
+  /** @type {string} For a number of combat rounds */
+  ROUNDS: 'rounds',
+  /** @type {string} Until the token moves */
+  MOVE: 'move'
+};
+
+/**
+ * Light level badges drawn on tokens
+ * @namespace BADGES
+ */
+export const BADGES = {
+  /** Which tokens show a badge */
+  DISPLAY: {
+    /** @type {string} No badges */
+    NONE: 'none',
+    /** @type {string} Tokens the user owns */
+    OWNED: 'owned',
+    /** @type {string} Every token the user can see */
+    VISIBLE: 'visible',
+    /** @type {string} Every token, for GMs only */
+    GM: 'gm'
+  },
+
+  /** What a badge shows */
+  STYLES: {
+    /** @type {string} Short label such as DRK */
+    LABEL: 'label',
+    /** @type {string} The tier's icon */
+    ICON: 'icon'
+  },
+
+  /** Corner of the token a badge is drawn in */
+  POSITIONS: {
+    /** @type {string} Top left corner */
+    TOP_LEFT: 'topLeft',
+    /** @type {string} Top right corner */
+    TOP_RIGHT: 'topRight',
+    /** @type {string} Bottom left corner */
+    BOTTOM_LEFT: 'bottomLeft',
+    /** @type {string} Bottom right corner */
+    BOTTOM_RIGHT: 'bottomRight'
+  },
+
+  /** @type {number} Default font size in pixels */
+  DEFAULT_SIZE: 16,
+
+  /** Text colors keyed by the core tier a tier counts as, matching the token HUD indicator */
+  COLORS: {
+    /** @type {number} Bright light */
+    bright: 0xffd700,
+    /** @type {number} Dim light */
+    dim: 0xc0c0c0,
+    /** @type {number} Darkness */
+    dark: 0x8c8c8c
+  }
+};
+
+/**
+ * Token sampling options for lighting calculations
+ * @namespace SAMPLING
+ */
+export const SAMPLING = {
+  /** Where lighting is sampled on a token */
+  MODES: {
+    /** @type {string} Token center only */
+    CENTER: 'center',
+    /** @type {string} Center of every grid space the token occupies */
+    GRID: 'grid',
+    /** @type {string} Token center and its four corners */
+    CORNERS: 'corners'
+  },
+
+  /** How multiple samples are combined into one light level */
+  RULES: {
+    /** @type {string} Brightest sampled point */
+    BRIGHTEST: 'brightest',
+    /** @type {string} Darkest sampled point */
+    DARKEST: 'darkest',
+    /** @type {string} Most common level, ties go to the center point */
+    MAJORITY: 'majority',
+    /** @type {string} Center point unless every other point agrees on another level */
+    CENTER: 'center'
+  },
+
+  /** @type {number} Fraction of the token size used to inset corner samples from the token edge */
+  CORNER_INSET: 0.1
+};
+
+/**
+ * Alive detection options for tokens
+ * @namespace ALIVE_CHECK
  */
-export const LIGHTING = {
-  /** Light level numeric values */
-  LEVELS: {
-    /** @type {number} Dark lighting condition */
-    DARK: 0,
-    /** @type {number} Dim lighting condition */
-    DIM: 1,
-    /** @type {number} Bright lighting condition */
-    BRIGHT: 2
+export const ALIVE_CHECK = {
+  /** How a token is determined to be alive */
+  MODES: {
+    /** @type {string} Use the check for the current game system */
+    SYSTEM: 'system',
+    /** @type {string} Read hit points from a configured actor data path */
+    PATH: 'path',
+    /** @type {string} Treat every token as alive */
+    IGNORE: 'ignore'
   },
 
-  /** Light level text labels for UI */
-  LABELS: {
-    /** @type {string} Dark lighting label */
-    dark: 'DRK',
-    /** @type {string} Dim lighting label */
-    dim: 'DIM',
-    /** @type {string} Bright lighting label */
-    bright: 'BRT'
+  /** @type {string} Default actor data path of the current hit points */
+  DEFAULT_HP_PATH: 'system.attributes.hp.value'
+};
+
+/**
+ * Senses that change how an observer perceives the light level of a target
+ * @namespace SENSES
+ */
+export const SENSES = {
+  /** @type {string} Darkvision */
+  DARKVISION: 'darkvision',
+  /** @type {string} Darkvision that also works in magical darkness (PF2e) */
+  GREATER_DARKVISION: 'greaterDarkvision',
+  /** @type {string} Low-light vision (PF2e) */
+  LOW_LIGHT_VISION: 'lowLightVision',
+  /** @type {string} Devil's Sight (D&D 5e) */
+  DEVILS_SIGHT: 'devilsSight',
+  /** @type {string} Truesight */
+  TRUESIGHT: 'truesight',
+  /** @type {string} Blindsight */
+  BLINDSIGHT: 'blindsight'
+};
+
+/**
+ * D&D 5e rule integration options
+ * @namespace DND5E
+ */
+export const DND5E = {
+  /** How Stealth rolls made in bright light are handled */
+  STEALTH_MODES: {
+    /** @type {string} No check */
+    OFF: 'off',
+    /** @type {string} Show a warning and allow the roll */
+    WARN: 'warn',
+    /** @type {string} Show an error and prevent the roll */
+    BLOCK: 'block'
   },
 
-  /** Light level icons for UI */
-  ICONS: {
-    /** @type {string} Dark lighting icon */
-    dark: 'far fa-moon',
-    /** @type {string} Dim lighting icon */
-    dim: 'fas fa-moon',
-    /** @type {string} Bright lighting icon */
-    bright: 'fas fa-sun'
+  /** @type {number} Passive Perception penalty for disadvantage */
+  PASSIVE_PENALTY: 5,
+
+  /** @type {string} Active effect change key of the passive Perception penalty */
+  PASSIVE_PENALTY_KEY: 'system.skills.prc.bonuses.passive'
+};
+
+/**
+ * Pathfinder 2e rule integration options
+ * @namespace PF2E
+ */
+export const PF2E = {
+  /** Condition applied to tokens that opposing observers perceive in darkness */
+  DARKNESS_CONDITIONS: {
+    /** @type {string} No condition */
+    NONE: 'none',
+    /** @type {string} The hidden condition */
+    HIDDEN: 'hidden',
+    /** @type {string} The undetected condition */
+    UNDETECTED: 'undetected'
   }
 };
 
 /**
- * Actor types that are valid for lighting effects
- * @type {string[]}
+ * Region behavior type identifier for lighting zones
+ * @type {string}
+ */
+export const REGION_BEHAVIOR_TYPE = `${MODULE.ID}.lightLevel`;
+
+/**
+ * Default tracked actor types for known game systems
+ * Systems not listed here track every actor type by default
+ * @type {Object<string, string[]>}
  */
-export const VALID_ACTOR_TYPES = ['character', 'npc'];
+export const DEFAULT_ACTOR_TYPES = {
+  dnd5e: ['character', 'npc', 'vehicle'],
+  pf2e: ['character', 'npc', 'familiar', 'hazard']
+};
 
 /**
- * Darkness threshold values for lighting calculations
+ * Default darkness threshold values for the scene darkness baseline
  * @namespace DARKNESS_THRESHOLDS
  */
 export const DARKNESS_THRESHOLDS = {
@@ -106,8 +429,9 @@ export const DARKNESS_THRESHOLDS = {
  */
 export const EFFECT_DATA = {
   /**
-   * Get effect data for creating lighting condition effects
-   * @param {string} effectType - The type of effect ('dark' or 'dim')
+   * Get the default effect data for creating lighting condition effects
+   * Customized templates are resolved by EffectTemplates
+   * @param {string} effectType - The type of effect ('dark', 'dim', or 'bright')
    * @returns {Object|null} Effect data ready for ActiveEffect.create() or null if invalid type
    */
   getEffectData(effectType) {
@@ -126,6 +450,13 @@ export const EFFECT_DATA = {
         img: 'icons/skills/melee/weapons-crossed-swords-black-gray.webp',
         description: 'Character is in dim light',
         statuses: ['dim']
+      },
+      bright: {
+        name: 'Bright Lighting',
+        id: 'tclbrightlight00',
+        img: 'icons/svg/sun.svg',
+        description: 'Character is in bright light',
+        statuses: ['bright']
       }
     };
 
@@ -2,16 +2,23 @@
  * Settings configuration and registration for Token Light Condition module
  */
 
-import { MODULE, SETTINGS } from './constants.mjs';
+import { ALIVE_CHECK, BADGES, DARKNESS_THRESHOLDS, DND5E, MODULE, PF2E, SAMPLING, SETTINGS } from './constants.mjs';
+import { EffectTemplatesConfig } from './apps/effect-templates-config.mjs';
+import { LightingCleanupConfig } from './apps/lighting-cleanup.mjs';
+import { LightTiersConfig } from './apps/light-tiers-config.mjs';
 import { initializeLogger, log } from './logger.mjs';
+import { LightBadges } from './utils/badges.mjs';
 import { EffectsManager } from './utils/effects.mjs';
+import { TokenHelpers } from './utils/helpers.mjs';
+import { LightTiers } from './utils/light-tiers.mjs';
+import { LightStatusEffects } from './utils/status-effects.mjs';
 import { LightingCalculator } from './utils/lighting.mjs';
 
 /**
- * Handle module setup and initial configuration
- * Registers core settings that need to be available immediately
+ * Handle module initialization
+ * Registers core settings that need to be available immediately, the lighting status effects are built from them
  */
-Hooks.once('setup', () => {
+Hooks.once('init', () => {
   log(3, 'Setting up Token Light Condition module');
 
   /**
@@ -25,6 +32,8 @@ Hooks.once('setup', () => {
     type: Boolean,
     default: true,
     onChange: (value) => {
+      LightBadges.refreshAll();
+
       // Update scene controls when setting changes
       if (!canvas.ready || !game.user.isGM) return;
 
@@ -59,6 +68,57 @@ Hooks.once('setup', () => {
       log(3, `Logging level changed to ${MODULE.LOG_LEVEL}`);
     }
   });
+
+  /**
+   * Register the light tiers early, region behaviors validate their light level against them when documents load
+   * An empty list uses the default dark, dim, and bright tiers
+   */
+  game.settings.register(MODULE.ID, SETTINGS.LIGHT_TIERS, {
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: [],
+    onChange: async (value) => {
+      LightTiers.invalidate();
+      LightStatusEffects.register();
+      LightBadges.refreshAll();
+      if (canvas.ready && game.user.isGM) {
+        // Reapply first so tier effect changes are picked up, then recalculate the levels that changed
+        await TokenHelpers.reapplyAllTokenEffects();
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Customized lighting effect templates, edited through the effect templates menu
+   * Registered early as the lighting status effects are built from them
+   */
+  game.settings.register(MODULE.ID, SETTINGS.EFFECT_TEMPLATES, {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    onChange: async (value) => {
+      LightStatusEffects.register();
+      if (canvas.ready && game.user.isGM) {
+        await TokenHelpers.reapplyAllTokenEffects();
+      }
+    }
+  });
+
+  /**
+   * Version of the last data migration run, see MigrationRunner
+   */
+  game.settings.register(MODULE.ID, SETTINGS.MIGRATION_VERSION, {
+    scope: 'world',
+    config: false,
+    type: Number,
+    default: 0
+  });
+
+  // Register the lighting status effects at init so other packages can target them by ID
+  LightStatusEffects.register();
 });
 
 /**
@@ -96,6 +156,58 @@ function registerAllSettings() {
     type: Boolean
   });
 
+  /**
+   * Setting for which tokens show a light level badge on the canvas
+   * Client-side settings so each user can choose their own badges
+   */
+  game.settings.register(MODULE.ID, SETTINGS.BADGE_DISPLAY, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.BadgeDisplay.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.BadgeDisplay.Hint'),
+    scope: 'client',
+    config: true,
+    type: String,
+    choices: LightBadges.getDisplayChoices(),
+    default: BADGES.DISPLAY.NONE,
+    onChange: (value) => LightBadges.refreshAll()
+  });
+
+  game.settings.register(MODULE.ID, SETTINGS.BADGE_STYLE, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.BadgeStyle.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.BadgeStyle.Hint'),
+    scope: 'client',
+    config: true,
+    type: String,
+    choices: LightBadges.getStyleChoices(),
+    default: BADGES.STYLES.LABEL,
+    onChange: (value) => LightBadges.refreshAll()
+  });
+
+  game.settings.register(MODULE.ID, SETTINGS.BADGE_POSITION, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.BadgePosition.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.BadgePosition.Hint'),
+    scope: 'client',
+    config: true,
+    type: String,
+    choices: LightBadges.getPositionChoices(),
+    default: BADGES.POSITIONS.TOP_LEFT,
+    onChange: (value) => LightBadges.refreshAll()
+  });
+
+  game.settings.register(MODULE.ID, SETTINGS.BADGE_SIZE, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.BadgeSize.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.BadgeSize.Hint'),
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: {
+      min: 8,
+      max: 48,
+      step: 2
+    },
+    default: BADGES.DEFAULT_SIZE,
+    onChange: (value) => LightBadges.refreshAll()
+  });
+
   /**
    * Setting to control whether lighting effects are automatically added to tokens
    * World setting so GM can control behavior for all players
@@ -167,8 +279,406 @@ function registerAllSettings() {
     scope: 'world',
     config: true,
     default: false,
-    type: Boolean
+    type: Boolean,
+    onChange: async (value) => {
+      // Recalculate all token lighting with or without negative lights
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Setting to test tokens against the polygons Foundry computes for each light
+   * More accurate than straight-line wall tests for terrain, proximity and directional walls
+   */
+  game.settings.register(MODULE.ID, SETTINGS.LIGHT_POLYGONS, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.LightPolygons.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.LightPolygons.Hint'),
+    scope: 'world',
+    config: true,
+    default: false,
+    type: Boolean,
+    onChange: async (value) => {
+      // Recalculate all token lighting with the new detection method
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Setting for which points of a token are sampled for lighting
+   * Can be overridden per token from the token configuration sheet
+   */
+  game.settings.register(MODULE.ID, SETTINGS.SAMPLING_MODE, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.SamplingMode.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.SamplingMode.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: TokenHelpers.getSamplingModeChoices(),
+    default: SAMPLING.MODES.CENTER,
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Setting for how multiple sampled points are combined into one light level
+   * Can be overridden per token from the token configuration sheet
+   */
+  game.settings.register(MODULE.ID, SETTINGS.COVERAGE_RULE, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.CoverageRule.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.CoverageRule.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: TokenHelpers.getCoverageRuleChoices(),
+    default: SAMPLING.RULES.BRIGHTEST,
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Setting to derive an ambient light level from the scene's darkness level
+   * Allows dusk and twilight scenes without placing ambient lights
+   */
+  game.settings.register(MODULE.ID, SETTINGS.DARKNESS_BASELINE, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.DarknessBaseline.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.DarknessBaseline.Hint'),
+    scope: 'world',
+    config: true,
+    default: false,
+    type: Boolean,
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Highest scene darkness level that still provides a bright baseline
+   * Can be overridden per scene from the scene configuration sheet
+   */
+  game.settings.register(MODULE.ID, SETTINGS.BRIGHT_THRESHOLD, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.BrightThreshold.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.BrightThreshold.Hint'),
+    scope: 'world',
+    config: true,
+    default: DARKNESS_THRESHOLDS.BRIGHT_MAX,
+    type: Number,
+    range: {
+      min: 0,
+      max: 1,
+      step: 0.05
+    },
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Highest scene darkness level that still provides a dim baseline
+   * Can be overridden per scene from the scene configuration sheet
+   */
+  game.settings.register(MODULE.ID, SETTINGS.DIM_THRESHOLD, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.DimThreshold.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.DimThreshold.Hint'),
+    scope: 'world',
+    config: true,
+    default: DARKNESS_THRESHOLDS.DIM_MAX,
+    type: Number,
+    range: {
+      min: 0,
+      max: 1,
+      step: 0.05
+    },
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Setting for which actor types are tracked, as a comma-separated list
+   * Defaults to the known actor types of the current game system
+   */
+  game.settings.register(MODULE.ID, SETTINGS.TRACKED_ACTOR_TYPES, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.TrackedActorTypes.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.TrackedActorTypes.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    default: TokenHelpers.getDefaultActorTypes().join(', '),
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Setting to stop tracking tokens that are hidden from players
+   */
+  game.settings.register(MODULE.ID, SETTINGS.SKIP_HIDDEN, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.SkipHidden.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.SkipHidden.Hint'),
+    scope: 'world',
+    config: true,
+    default: false,
+    type: Boolean,
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Setting for status IDs that stop a token from being tracked, as a comma-separated list
+   */
+  game.settings.register(MODULE.ID, SETTINGS.SKIP_STATUSES, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.SkipStatuses.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.SkipStatuses.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '',
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Setting to only track tokens whose actor is owned by a player
+   */
+  game.settings.register(MODULE.ID, SETTINGS.PLAYER_OWNED_ONLY, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.PlayerOwnedOnly.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.PlayerOwnedOnly.Hint'),
+    scope: 'world',
+    config: true,
+    default: false,
+    type: Boolean,
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Setting for how tokens are determined to be alive
+   * Dead tokens have their lighting effects cleared
+   */
+  game.settings.register(MODULE.ID, SETTINGS.ALIVE_CHECK, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.AliveCheck.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.AliveCheck.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      [ALIVE_CHECK.MODES.SYSTEM]: 'TOKENLIGHTCONDITION.Settings.AliveCheck.Choices.System',
+      [ALIVE_CHECK.MODES.PATH]: 'TOKENLIGHTCONDITION.Settings.AliveCheck.Choices.Path',
+      [ALIVE_CHECK.MODES.IGNORE]: 'TOKENLIGHTCONDITION.Settings.AliveCheck.Choices.Ignore'
+    },
+    default: ALIVE_CHECK.MODES.SYSTEM,
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Setting for the actor data path read by the hit point path alive check
+   */
+  game.settings.register(MODULE.ID, SETTINGS.HP_PATH, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.HpPath.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.HpPath.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ALIVE_CHECK.DEFAULT_HP_PATH,
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Setting to treat tokens with the defeated status as dead regardless of hit points
+   */
+  game.settings.register(MODULE.ID, SETTINGS.DEFEATED_IS_DEAD, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.DefeatedIsDead.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.DefeatedIsDead.Hint'),
+    scope: 'world',
+    config: true,
+    default: false,
+    type: Boolean,
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await LightingCalculator.refreshAllTokenLighting();
+      }
+    }
+  });
+
+  /**
+   * Setting to show lighting status effects as large overlay icons on tokens
+   */
+  game.settings.register(MODULE.ID, SETTINGS.STATUS_OVERLAY, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.StatusOverlay.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.StatusOverlay.Hint'),
+    scope: 'world',
+    config: true,
+    default: false,
+    type: Boolean,
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await TokenHelpers.reapplyAllTokenEffects();
+      }
+    }
+  });
+
+  game.settings.registerMenu(MODULE.ID, SETTINGS.LIGHT_TIERS_MENU, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.LightTiers.Name'),
+    label: game.i18n.localize('TOKENLIGHTCONDITION.Settings.LightTiers.Label'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.LightTiers.Hint'),
+    icon: 'fas fa-layer-group',
+    type: LightTiersConfig,
+    restricted: true
   });
 
+  game.settings.registerMenu(MODULE.ID, SETTINGS.EFFECT_TEMPLATES_MENU, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.EffectTemplates.Name'),
+    label: game.i18n.localize('TOKENLIGHTCONDITION.Settings.EffectTemplates.Label'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.EffectTemplates.Hint'),
+    icon: 'fas fa-wand-magic-sparkles',
+    type: EffectTemplatesConfig,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE.ID, SETTINGS.CLEANUP_MENU, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.Cleanup.Name'),
+    label: game.i18n.localize('TOKENLIGHTCONDITION.Settings.Cleanup.Label'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.Cleanup.Hint'),
+    icon: 'fas fa-broom',
+    type: LightingCleanupConfig,
+    restricted: true
+  });
+
+  // Register system-specific settings
+  if (game.system.id === 'dnd5e') registerDnd5eSettings();
+  if (game.system.id === 'pf2e') registerPf2eSettings();
+
   log(3, 'All settings registered successfully');
 }
+
+/**
+ * Register settings for the D&D 5e rule integration
+ * @private
+ */
+function registerDnd5eSettings() {
+  /**
+   * Setting to give Perception rolls disadvantage against a target in dim light
+   */
+  game.settings.register(MODULE.ID, SETTINGS.DND5E_PERCEPTION_DISADVANTAGE, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.Dnd5ePerceptionDisadvantage.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.Dnd5ePerceptionDisadvantage.Hint'),
+    scope: 'world',
+    config: true,
+    default: false,
+    type: Boolean
+  });
+
+  /**
+   * Setting to apply the disadvantage penalty to the passive Perception of tokens that see their surroundings in dim light
+   */
+  game.settings.register(MODULE.ID, SETTINGS.DND5E_PASSIVE_PENALTY, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.Dnd5ePassivePenalty.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.Dnd5ePassivePenalty.Hint'),
+    scope: 'world',
+    config: true,
+    default: false,
+    type: Boolean,
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await TokenHelpers.reapplyAllTokenEffects();
+      }
+    }
+  });
+
+  /**
+   * Setting for how Stealth rolls made in bright light are handled
+   */
+  game.settings.register(MODULE.ID, SETTINGS.DND5E_STEALTH, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.Dnd5eStealth.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.Dnd5eStealth.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      [DND5E.STEALTH_MODES.OFF]: 'TOKENLIGHTCONDITION.Settings.Dnd5eStealth.Choices.Off',
+      [DND5E.STEALTH_MODES.WARN]: 'TOKENLIGHTCONDITION.Settings.Dnd5eStealth.Choices.Warn',
+      [DND5E.STEALTH_MODES.BLOCK]: 'TOKENLIGHTCONDITION.Settings.Dnd5eStealth.Choices.Block'
+    },
+    default: DND5E.STEALTH_MODES.OFF
+  });
+}
+
+/**
+ * Register settings for the Pathfinder 2e rule integration
+ * @private
+ */
+function registerPf2eSettings() {
+  /**
+   * Setting to apply the concealed condition to tokens that opposing observers perceive in dim light
+   */
+  game.settings.register(MODULE.ID, SETTINGS.PF2E_CONCEALMENT, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.Pf2eConcealment.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.Pf2eConcealment.Hint'),
+    scope: 'world',
+    config: true,
+    default: false,
+    type: Boolean,
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await TokenHelpers.reapplyAllTokenEffects();
+      }
+    }
+  });
+
+  /**
+   * Setting for the condition applied to tokens that opposing observers perceive in darkness
+   */
+  game.settings.register(MODULE.ID, SETTINGS.PF2E_DARKNESS_CONDITION, {
+    name: game.i18n.localize('TOKENLIGHTCONDITION.Settings.Pf2eDarknessCondition.Name'),
+    hint: game.i18n.localize('TOKENLIGHTCONDITION.Settings.Pf2eDarknessCondition.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      [PF2E.DARKNESS_CONDITIONS.NONE]: 'TOKENLIGHTCONDITION.Settings.Pf2eDarknessCondition.Choices.None',
+      [PF2E.DARKNESS_CONDITIONS.HIDDEN]: 'TOKENLIGHTCONDITION.Settings.Pf2eDarknessCondition.Choices.Hidden',
+      [PF2E.DARKNESS_CONDITIONS.UNDETECTED]: 'TOKENLIGHTCONDITION.Settings.Pf2eDarknessCondition.Choices.Undetected'
+    },
+    default: PF2E.DARKNESS_CONDITIONS.NONE,
+    onChange: async (value) => {
+      if (canvas.ready && game.user.isGM) {
+        await TokenHelpers.reapplyAllTokenEffects();
+      }
+    }
+  });
+}
@@ -0,0 +1,111 @@
+/**
+ * System adapter registry for Token Light Condition module
+ * Lets game systems and modules provide effects, alive checks, and senses for their system
+ */
+
+import { log } from '../logger.mjs';
+import { Dnd5eIntegration } from './dnd5e.mjs';
+import { GenericIntegration } from './generic.mjs';
+import { Pf2eIntegration } from './pf2e.mjs';
+import { SwadeIntegration } from './swade.mjs';
+
+/**
+ * Registry of system adapters
+ * An adapter is an object or class implementing any of:
+ * - init(): Promise<void> - Initialize the effects system
+ * - apply(token, effectType): Promise<void> - Add the lighting effect of a light tier, such as 'dim' or 'dark', to a token
+ * - getEffectData(token, effectType): Promise<{effects: Object[], items: Object[]}> - Data of the documents apply would create
+ * - clear(token): Promise<void> - Remove all lighting effects from a token
+ * - isAlive(actor): boolean - Whether an actor is alive
+ * - senses(actor): Object<string, number> - Sense ranges from the actor's system data, see SENSES
+ * Methods an adapter does not implement fall back to the generic adapter
+ * Adapters implementing apply without getEffectData have their effects written one token at a time
+ */
+export class SystemAdapters {
+  /** @type {string[]} Methods an adapter can implement */
+  static METHODS = ['init', 'apply', 'getEffectData', 'clear', 'isAlive', 'senses'];
+
+  /** @type {string} ID of the fallback adapter */
+  static GENERIC_ID = 'generic';
+
+  /** @type {Map<string, Object>} Registered adapters by system ID */
+  static adapters = new Map();
+
+  /** @type {Object|null} The selected adapter with its system ID and bound methods */
+  static active = null;
+
+  /**
+   * Register the built-in adapters without replacing adapters other modules registered first
+   * Must be called during the init hook
+   */
+  static registerBuiltInAdapters() {
+    const builtInAdapters = {
+      [this.GENERIC_ID]: GenericIntegration,
+      dnd5e: Dnd5eIntegration,
+      pf2e: Pf2eIntegration,
+      swade: SwadeIntegration
+    };
+
+    for (const [systemId, adapter] of Object.entries(builtInAdapters)) {
+      if (!this.adapters.has(systemId)) this.adapters.set(systemId, adapter);
+    }
+  }
+
+  /**
+   * Register an adapter for a game system, replacing any existing adapter for that system
+   * @param {string} systemId - The game system ID, e.g. 'pf1'
+   * @param {Object} adapter - The adapter implementing some of the adapter methods
+   * @returns {boolean} True if the adapter was registered
+   */
+  static register(systemId, adapter) {
+    if (!systemId || typeof systemId !== 'string' || !adapter || !['object', 'function'].includes(typeof adapter)) {
+      log(1, 'Cannot register system adapter - a system ID and adapter object are required');
+      return false;
+    }
+
+    const invalidMethods = this.METHODS.filter((method) => method in adapter && typeof adapter[method] !== 'function');
+    if (invalidMethods.length) {
+      log(1, `Cannot register system adapter ${systemId} - not functions: ${invalidMethods.join(', ')}`);
+      return false;
+    }
+
+    this.adapters.set(systemId, adapter);
+    log(3, `Registered system adapter: ${systemId}`);
+
+    // Switch to the new adapter if one was registered for the running system after selection
+    if (this.active && systemId === game.system.id) this.select();
+
+    return true;
+  }
+
+  /**
+   * Select the adapter for the running game system
+   * Called at ready, falls back to the generic adapter for unknown systems
+   * @returns {Object} The selected adapter
+   */
+  static select() {
+    const systemId = this.adapters.has(game.system.id) ? game.system.id : this.GENERIC_ID;
+    const adapter = this.adapters.get(systemId);
+    const genericAdapter = this.adapters.get(this.GENERIC_ID);
+
+    this.active = { id: systemId };
+    for (const method of this.METHODS) {
+      const source = typeof adapter[method] === 'function' ? adapter : genericAdapter;
+      this.active[method] = source[method].bind(source);
+    }
+
+    // The generic effect data would not match the effects of an adapter's own apply
+    if (typeof adapter.apply === 'function' && typeof adapter.getEffectData !== 'function') this.active.getEffectData = null;
+
+    log(3, `Using system adapter: ${systemId}`);
+    return this.active;
+  }
+
+  /**
+   * Get the selected adapter, selecting one if needed
+   * @returns {Object} The selected adapter
+   */
+  static get current() {
+    return this.active ?? this.select();
+  }
+}
@@ -0,0 +1,387 @@
+/**
+ * D&D 5e integration for Token Light Condition module
+ * Provides the D&D 5e system adapter and applies lighting consequences to Perception and Stealth rolls
+ */
+
+import { DND5E, LIGHT_TIERS, MODULE, SENSES, SETTINGS } from '../constants.mjs';
+import { log } from '../logger.mjs';
+import { EffectTemplates } from '../utils/effect-templates.mjs';
+import { TokenHelpers } from '../utils/helpers.mjs';
+import { LightTiers } from '../utils/light-tiers.mjs';
+import { PerceptionCalculator } from '../utils/perception.mjs';
+import { GenericIntegration } from './generic.mjs';
+
+/**
+ * System adapter for D&D 5e, see SystemAdapters
+ * Also hooks into skill rolls to apply the rules for lightly and heavily obscured areas, each toggleable in the module settings
+ */
+export class Dnd5eIntegration {
+  /** @type {number} Range of the Devil's Sight invocation in feet */
+  static DEVILS_SIGHT_RANGE = 120;
+
+  /** @type {string[]} Token changes that can change the senses of a token */
+  static SENSE_TOKEN_KEYS = ['sight', 'detectionModes'];
+
+  /** @type {string} Actor data path of the senses, changed by actor updates and active effects */
+  static SENSES_PATH = 'system.attributes.senses';
+
+  /**
+   * Initialize the effects system, integrating with Chris's Premades when its effect interface is enabled
+   */
+  static async init() {
+    log(3, 'Initializing D&D 5e lighting effects');
+
+    if (this._isCPREnabled()) {
+      await this._integrateCPREffects();
+    }
+  }
+
+  /**
+   * Add a lighting effect to a token's actor, preferring the Chris's Premades version of the effect
+   * Effects without Chris's Premades or the passive Perception penalty are applied by the generic adapter
+   * @param {Token} token - The token to add the effect to
+   * @param {string} effectType - The light tier of the effect, such as 'dark' or 'dim'
+   * @returns {Promise<ActiveEffect|boolean|undefined>} The created effect
+   */
+  static async apply(token, effectType) {
+    const usesCPR = this._isCPREnabled() && this._findCPREffect(effectType);
+    if (!usesCPR && !this._hasPassivePenalty(token, effectType)) return GenericIntegration.apply(token, effectType);
+
+    const { effects } = await this.getEffectData(token, effectType);
+    if (!effects.length) return;
+
+    const [effect] = await ActiveEffect.createDocuments(effects, {
+      keepId: true,
+      parent: token.actor
+    });
+
+    log(3, `Created ${effectType} effect: ${effect?.id}`);
+    return effect;
+  }
+
+  /**
+   * Get the data of a lighting effect without creating it, preferring the Chris's Premades version
+   * Adds the passive Perception penalty when the token sees its surroundings in dim light and that rule is enabled
+   * @param {Token} token - The token receiving the effect
+   * @param {string} effectType - The light tier of the effect, such as 'dark' or 'dim'
+   * @returns {Promise<{effects: Object[], items: Object[]}>} Active effect data to create on the token's actor
+   */
+  static async getEffectData(token, effectType) {
+    const cprEffect = this._isCPREnabled() ? this._findCPREffect(effectType) : null;
+    const data = cprEffect ? { effects: [this._getCPREffectData(cprEffect, effectType)], items: [] } : await GenericIntegration.getEffectData(token, effectType);
+
+    const [effectData] = data.effects;
+    if (effectData && this._hasPassivePenalty(token, effectType)) {
+      effectData.changes = [...(effectData.changes ?? []), { key: DND5E.PASSIVE_PENALTY_KEY, mode: CONST.ACTIVE_EFFECT_MODES.ADD, value: String(-DND5E.PASSIVE_PENALTY) }];
+    }
+
+    return data;
+  }
+
+  /**
+   * Clear lighting effects created by this module from a token's actor
+   * @param {Token} token - The token to clear effects from
+   */
+  static async clear(token) {
+    await GenericIntegration.clear(token);
+  }
+
+  /**
+   * Check whether an actor has hit points remaining
+   * @param {Actor} actor - The actor to check
+   * @returns {boolean} True if the actor is alive
+   */
+  static isAlive(actor) {
+    return TokenHelpers.hasHitPoints(actor.system.attributes?.hp);
+  }
+
+  /**
+   * Get senses from a D&D 5e actor, including the Devil's Sight invocation
+   * @param {Actor} actor - The actor
+   * @returns {Object<string, number>} Sense ranges keyed by SENSES value
+   */
+  static senses(actor) {
+    const senses = actor.system.attributes?.senses ?? {};
+    const result = {
+      [SENSES.DARKVISION]: senses.darkvision || 0,
+      [SENSES.BLINDSIGHT]: senses.blindsight || 0,
+      [SENSES.TRUESIGHT]: senses.truesight || 0
+    };
+
+    // Devil's Sight is an eldritch invocation feature rather than a sense
+    const hasDevilsSight = actor.items.some((item) => this._isDevilsSight(item));
+    if (hasDevilsSight) result[SENSES.DEVILS_SIGHT] = this.DEVILS_SIGHT_RANGE;
+
+    return result;
+  }
+
+  /**
+   * Register the roll hooks for the installed D&D 5e version
+   * Must be called once the game is ready
+   */
+  static registerRollHooks() {
+    // D&D 5e 4.0 replaced the skill roll hook with a configuration-based version
+    if (!foundry.utils.isNewerVersion('4.0.0', game.system.version)) {
+      Hooks.on('dnd5e.preRollSkillV2', (config, dialog, message) => this._onPreRollSkill(config.subject, config.skill, config));
+    } else {
+      Hooks.on('dnd5e.preRollSkill', (actor, rollData, skillId) => this._onPreRollSkill(actor, skillId, rollData));
+    }
+
+    log(3, 'Initialized D&D 5e roll integration');
+  }
+
+  /**
+   * Register the hooks that rebuild the passive Perception penalty when a token's senses change
+   * The penalty is part of the lighting effect, so it is rebuilt when the actor gains or loses darkvision or Devil's Sight
+   * even though the token's light level stays the same
+   * Must be called once the game is ready
+   */
+  static registerSenseHooks() {
+    Hooks.on('updateActor', (actor, changes, options, userId) => {
+      if (foundry.utils.hasProperty(changes, this.SENSES_PATH)) this._onSensesChanged(actor);
+    });
+    Hooks.on('createItem', (item, options, userId) => this._onSenseItemChanged(item));
+    Hooks.on('deleteItem', (item, options, userId) => this._onSenseItemChanged(item));
+    Hooks.on('createActiveEffect', (effect, options, userId) => this._onSenseEffectChanged(effect));
+    Hooks.on('updateActiveEffect', (effect, changes, options, userId) => this._onSenseEffectChanged(effect));
+    Hooks.on('deleteActiveEffect', (effect, options, userId) => this._onSenseEffectChanged(effect));
+    Hooks.on('updateToken', (tokenDocument, changes, options, userId) => {
+      if (this.SENSE_TOKEN_KEYS.some((key) => key in changes) && tokenDocument.object) this._onSensesChanged(tokenDocument.actor, [tokenDocument.object]);
+    });
+
+    log(3, 'Initialized D&D 5e sense hooks');
+  }
+
+  /**
+   * Get an observer's passive Perception against a target
+   * The observer's lighting effect already lowers it when the observer sees its surroundings in dim light,
+   * otherwise the -5 penalty is applied here when the observer perceives the target in dim light
+   * @param {Token} observer - The observing token
+   * @param {Token} target - The observed token
+   * @returns {Promise<number|null>} The passive Perception or null if the observer has none
+   */
+  static async getPassivePerception(observer, target) {
+    const passive = observer.actor?.system.skills?.prc?.passive;
+    if (!Number.isFinite(passive)) return null;
+    if (!game.settings.get(MODULE.ID, SETTINGS.DND5E_PASSIVE_PENALTY)) return passive;
+
+    const hasPenaltyEffect = observer.actor.effects.some((effect) => effect.flags?.[MODULE.ID]?.type && effect.changes.some((change) => change.key === DND5E.PASSIVE_PENALTY_KEY));
+    if (hasPenaltyEffect) return passive;
+
+    const perceivedLevel = await PerceptionCalculator.getPerceivedLightLevel(observer, target);
+    return LightTiers.getCoreTier(perceivedLevel) === LIGHT_TIERS.CORE.DIM ? passive - DND5E.PASSIVE_PENALTY : passive;
+  }
+
+  /**
+   * Apply lighting rules before a skill roll
+   * @param {Actor} actor - The rolling actor
+   * @param {string} skillId - The skill being rolled
+   * @param {Object} rollConfig - The roll configuration, modified in place
+   * @returns {boolean|void} False to prevent the roll
+   * @private
+   */
+  static _onPreRollSkill(actor, skillId, rollConfig) {
+    if (!actor || !TokenHelpers.isModuleEnabled()) return;
+
+    const token = this._getActorToken(actor);
+    if (!token) return;
+
+    switch (skillId) {
+      case 'prc':
+        this._applyPerceptionDisadvantage(token, rollConfig);
+        break;
+      case 'ste':
+        return this._checkStealthLighting(token);
+    }
+  }
+
+  /**
+   * Give a Perception roll disadvantage when the user's target is perceived in dim light
+   * @param {Token} token - The rolling token
+   * @param {Object} rollConfig - The roll configuration, modified in place
+   * @private
+   */
+  static _applyPerceptionDisadvantage(token, rollConfig) {
+    if (!game.settings.get(MODULE.ID, SETTINGS.DND5E_PERCEPTION_DISADVANTAGE)) return;
+
+    const target = game.user.targets.size === 1 ? game.user.targets.first() : null;
+    const targetLevel = TokenHelpers.getStoredLightLevel(target);
+    if (!target || target === token || !targetLevel) return;
+
+    if (LightTiers.getCoreTier(PerceptionCalculator.perceiveLightLevel(token, target, targetLevel)) !== LIGHT_TIERS.CORE.DIM) return;
+
+    rollConfig.disadvantage = true;
+    log(3, `Perception roll by ${token.name} has disadvantage, ${target.name} is in dim light`);
+  }
+
+  /**
+   * Check whether a token's lighting effect should lower its passive Perception
+   * Applies when the token sees its own surroundings in dim light, darkvision turns darkness into dim light
+   * @param {Token} token - The token
+   * @param {string} lightLevel - The token's light level
+   * @returns {boolean} True if the penalty applies
+   * @private
+   */
+  static _hasPassivePenalty(token, lightLevel) {
+    if (!game.settings.get(MODULE.ID, SETTINGS.DND5E_PASSIVE_PENALTY)) return false;
+
+    const senses = PerceptionCalculator.getSenses(token);
+    const perceivedLevel = PerceptionCalculator.applySenses(LightTiers.getIndex(lightLevel), senses, 0, PerceptionCalculator.isInMagicalDarkness(token));
+    return LightTiers.getCoreTier(LightTiers.getId(perceivedLevel)) === LIGHT_TIERS.CORE.DIM;
+  }
+
+  /**
+   * Rebuild the lighting effects of an actor's tokens after its senses changed, when the passive Perception penalty is enabled
+   * @param {Actor} actor - The actor whose senses changed
+   * @param {Token[]} [tokens] - The affected tokens, defaults to the actor's tokens on the scene
+   * @private
+   */
+  static _onSensesChanged(actor, tokens = actor?.getActiveTokens() ?? []) {
+    if (!game.user.isGM || !tokens.length || !TokenHelpers.isModuleEnabled()) return;
+    if (!game.settings.get(MODULE.ID, SETTINGS.DND5E_PASSIVE_PENALTY)) return;
+
+    log(3, `Senses of actor ${actor.id} changed, rebuilding the passive Perception penalty`);
+    TokenHelpers.reapplyTokenEffects(tokens);
+  }
+
+  /**
+   * Handle an item that grants Devil's Sight being added to or removed from an actor
+   * @param {Item} item - The created or deleted item
+   * @private
+   */
+  static _onSenseItemChanged(item) {
+    if (item.parent instanceof Actor && this._isDevilsSight(item)) this._onSensesChanged(item.parent);
+  }
+
+  /**
+   * Handle an active effect that changes senses being added, toggled, or removed
+   * Effects transferred from an item belong to the item's actor
+   * @param {ActiveEffect} effect - The changed effect
+   * @private
+   */
+  static _onSenseEffectChanged(effect) {
+    if (!effect.changes.some((change) => change.key.startsWith(this.SENSES_PATH))) return;
+
+    const actor = effect.parent instanceof Actor ? effect.parent : effect.parent?.parent;
+    if (actor instanceof Actor) this._onSensesChanged(actor);
+  }
+
+  /**
+   * Check whether an item is the Devil's Sight eldritch invocation
+   * @param {Item} item - The item
+   * @returns {boolean} True if the item grants Devil's Sight
+   * @private
+   */
+  static _isDevilsSight(item) {
+    return (item.identifier ?? item.system.identifier) === 'devils-sight';
+  }
+
+  /**
+   * Warn about or prevent a Stealth roll made in bright light
+   * @param {Token} token - The rolling token
+   * @returns {boolean|void} False to prevent the roll
+   * @private
+   */
+  static _checkStealthLighting(token) {
+    const mode = game.settings.get(MODULE.ID, SETTINGS.DND5E_STEALTH);
+    if (mode === DND5E.STEALTH_MODES.OFF) return;
+    if (LightTiers.getCoreTier(TokenHelpers.getStoredLightLevel(token)) !== LIGHT_TIERS.CORE.BRIGHT) return;
+
+    const message = game.i18n.format('TOKENLIGHTCONDITION.Dnd5e.StealthBright', { name: token.name });
+    if (mode === DND5E.STEALTH_MODES.BLOCK) {
+      ui.notifications.error(message);
+      return false;
+    }
+
+    ui.notifications.warn(message);
+  }
+
+  /**
+   * Check whether Chris's Premades is active with its effect interface enabled
+   * @returns {boolean} True if CPR effects should be used
+   * @private
+   */
+  static _isCPREnabled() {
+    return Boolean(game.modules.get('chris-premades')?.active && game.settings.get('chris-premades', 'effectInterface'));
+  }
+
+  /**
+   * Find Chris's Premades effect matching our effect type
+   * @param {string} effectType - The type of effect to find
+   * @returns {ActiveEffect|null} The matching CPR effect or null
+   * @private
+   */
+  static _findCPREffect(effectType) {
+    const cprItem = game.items.find((item) => item.flags['chris-premades']?.effectInterface);
+
+    if (!cprItem) {
+      log(3, 'CPR Effect Interface item not found');
+      return null;
+    }
+
+    const matchingEffect = cprItem.effects.find((effect) => effect.flags?.[MODULE.ID]?.type === effectType);
+
+    return matchingEffect || null;
+  }
+
+  /**
+   * Get the data of a Chris's Premades effect for a token's actor
+   * @param {ActiveEffect} cprEffect - The effect on the CPR Effect Interface item
+   * @param {string} effectType - The light tier of the effect
+   * @returns {Object} Active effect data
+   * @private
+   */
+  static _getCPREffectData(cprEffect, effectType) {
+    const effectData = cprEffect.toObject();
+    effectData.statuses = [effectType];
+    return effectData;
+  }
+
+  /**
+   * Integrate with Chris's Premades Effect Interface
+   * Creates our lighting effects in the CPR system
+   * @private
+   */
+  static async _integrateCPREffects() {
+    log(3, "Integrating with Chris's Premades");
+
+    try {
+      const cprItem = game.items.find((item) => item.flags['chris-premades']?.effectInterface);
+
+      if (!cprItem) {
+        log(2, 'CPR Effect Interface not found, skipping integration');
+        return;
+      }
+
+      // Create effects for both dark and dim lighting
+      for (const effectType of ['dark', 'dim']) {
+        const existingEffect = cprItem.effects.find((effect) => effect.flags?.[MODULE.ID]?.type === effectType);
+
+        if (!existingEffect) {
+          const effectData = EffectTemplates.getEffectData(effectType);
+          if (effectData) {
+            await ActiveEffect.create(effectData, {
+              keepId: true,
+              parent: cprItem
+            });
+            log(3, `Created CPR integration effect: ${effectType}`);
+          }
+        }
+      }
+
+      log(3, 'CPR integration complete');
+    } catch (error) {
+      log(1, 'CPR integration failed:', error);
+    }
+  }
+
+  /**
+   * Find the token of an actor on the current scene, preferring a controlled token
+   * @param {Actor} actor - The actor
+   * @returns {Token|undefined} The actor's token
+   * @private
+   */
+  static _getActorToken(actor) {
+    return canvas.tokens?.controlled.find((token) => token.actor === actor) ?? actor.getActiveTokens()[0];
+  }
+}
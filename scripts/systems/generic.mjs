@@ -0,0 +1,107 @@
+/**
+ * Generic system adapter for Token Light Condition module
+ * Used for game systems without a dedicated adapter and for methods an adapter does not implement
+ */
+
+import { ALIVE_CHECK, MODULE, SETTINGS } from '../constants.mjs';
+import { log } from '../logger.mjs';
+import { EffectTemplates } from '../utils/effect-templates.mjs';
+import { TokenHelpers } from '../utils/helpers.mjs';
+import { LightStatusEffects } from '../utils/status-effects.mjs';
+
+/**
+ * Applies lighting conditions as status effects and reads hit points from the default data path
+ */
+export class GenericIntegration {
+  /**
+   * Initialize the effects system, nothing is required for generic effects
+   */
+  static async init() {
+    log(3, `Using generic effects for system: ${game.system.id}`);
+  }
+
+  /**
+   * Add a lighting effect to a token's actor, built from the effect template
+   * Toggles the tier's status effect when it is registered, see LightStatusEffects
+   * @param {Token} token - The token to add the effect to
+   * @param {string} effectType - The light tier of the effect, such as 'dark' or 'dim'
+   * @returns {Promise<ActiveEffect|boolean|undefined>} The created effect
+   */
+  static async apply(token, effectType) {
+    log(3, `Creating ${effectType} effect for token: ${token.id}`);
+
+    if (LightStatusEffects.get(effectType)) {
+      const overlay = game.settings.get(MODULE.ID, SETTINGS.STATUS_OVERLAY);
+      const effect = await token.actor.toggleStatusEffect(effectType, { active: true, overlay });
+      log(3, `Toggled ${effectType} status effect: ${effect?.id}`);
+      return effect;
+    }
+
+    const { effects } = await this.getEffectData(token, effectType);
+    if (!effects.length) return;
+
+    const [effect] = await ActiveEffect.createDocuments(effects, {
+      keepId: true,
+      parent: token.actor
+    });
+
+    log(3, `Created ${effectType} effect: ${effect?.id}`);
+    return effect;
+  }
+
+  /**
+   * Get the data of a lighting effect without creating it
+   * Registered tiers use their status effect, see LightStatusEffects, and the others their effect template
+   * @param {Token} token - The token receiving the effect
+   * @param {string} effectType - The light tier of the effect, such as 'dark' or 'dim'
+   * @returns {Promise<{effects: Object[], items: Object[]}>} Active effect data to create on the token's actor
+   */
+  static async getEffectData(token, effectType) {
+    if (LightStatusEffects.get(effectType)) {
+      const effect = await ActiveEffect.implementation.fromStatusEffect(effectType);
+      if (game.settings.get(MODULE.ID, SETTINGS.STATUS_OVERLAY)) effect.updateSource({ 'flags.core.overlay': true });
+      return { effects: [effect.toObject()], items: [] };
+    }
+
+    const effectData = EffectTemplates.getEffectData(effectType);
+    if (!effectData) {
+      log(1, `Invalid effect type: ${effectType}`);
+      return { effects: [], items: [] };
+    }
+
+    return { effects: [effectData], items: [] };
+  }
+
+  /**
+   * Clear lighting effects created by this module from a token's actor
+   * @param {Token} token - The token to clear effects from
+   */
+  static async clear(token) {
+    // Find effects created by this module
+    const effectsToRemove = token.actor.effects.filter((effect) => effect.flags?.[MODULE.ID]?.type);
+
+    if (effectsToRemove.length > 0) {
+      const effectIds = effectsToRemove.map((effect) => effect.id);
+      await token.actor.deleteEmbeddedDocuments('ActiveEffect', effectIds);
+      log(3, `Cleared ${effectsToRemove.length} effects from token: ${token.id}`);
+    }
+  }
+
+  /**
+   * Check whether an actor is alive using the default hit point data path
+   * @param {Actor} actor - The actor to check
+   * @returns {boolean} True if the actor is alive
+   */
+  static isAlive(actor) {
+    return TokenHelpers.hasHitPointsAtPath(actor, ALIVE_CHECK.DEFAULT_HP_PATH);
+  }
+
+  /**
+   * Get senses from an actor's system data, generic systems have none
+   * @param {Actor} actor - The actor
+   * @returns {Object<string, number>} Sense ranges keyed by SENSES value
+   */
+  static senses(actor) {
+    return {};
+  }
+}
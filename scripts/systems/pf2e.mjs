@@ -0,0 +1,335 @@
+/**
+ * Pathfinder 2e integration for Token Light Condition module
+ * Applies lighting as PF2e effect items and detection conditions to tokens in dim light and darkness
+ */
+
+import { LIGHT_TIERS, MODULE, PF2E, SENSES, SETTINGS } from '../constants.mjs';
+import { log } from '../logger.mjs';
+import { TokenHelpers } from '../utils/helpers.mjs';
+import { LightIndex } from '../utils/light-index.mjs';
+import { LightTiers } from '../utils/light-tiers.mjs';
+import { LightingCalculator } from '../utils/lighting.mjs';
+import { PerceptionCalculator } from '../utils/perception.mjs';
+
+/**
+ * System adapter for PF2e, see SystemAdapters
+ * Lighting effects and conditions are embedded items flagged so they can be cleared together
+ */
+export class Pf2eIntegration {
+  /** @type {string[]} Token changes that can change how a token perceives other tokens */
+  static OBSERVER_KEYS = ['x', 'y', 'elevation', 'hidden', 'width', 'height', 'sight', 'detectionModes'];
+
+  /** @type {Map<string, PIXI.Rectangle|null>} Area each token's senses reached when conditions were last re-checked, by token ID */
+  static _senseAreas = new Map();
+
+  /** @type {Set<string>} IDs of the tokens that changed since conditions were last re-checked */
+  static _changedObservers = new Set();
+
+  /** @type {Object<string, string>} PF2e sense types mapped to module senses */
+  static SENSE_TYPES = {
+    darkvision: SENSES.DARKVISION,
+    'greater-darkvision': SENSES.GREATER_DARKVISION,
+    'low-light-vision': SENSES.LOW_LIGHT_VISION,
+    truesight: SENSES.TRUESIGHT
+  };
+
+  /**
+   * Initialize the effects system, effect items are created on demand
+   */
+  static async init() {
+    log(3, 'Initializing PF2e lighting effects');
+  }
+
+  /**
+   * Add a lighting effect item to a token's actor together with any detection condition
+   * Bright light and brighter tiers have no PF2e effect item
+   * @param {Token} token - The token to add the effect to
+   * @param {string} effectType - The light tier of the effect, such as 'dark' or 'dim'
+   */
+  static async apply(token, effectType) {
+    const { items } = await this.getEffectData(token, effectType);
+    if (!items.length) return;
+
+    await token.actor.createEmbeddedDocuments('Item', items);
+    log(3, `Added PF2e ${effectType} effect to token: ${token.id}`);
+  }
+
+  /**
+   * Get the data of a lighting effect item and any detection condition without creating them
+   * Bright light and brighter tiers have no PF2e effect item
+   * @param {Token} token - The token receiving the effect
+   * @param {string} effectType - The light tier of the effect, such as 'dark' or 'dim'
+   * @returns {Promise<{effects: Object[], items: Object[]}>} Item data to create on the token's actor
+   */
+  static async getEffectData(token, effectType) {
+    if (LightTiers.getCoreTier(effectType) === LIGHT_TIERS.CORE.BRIGHT) return { effects: [], items: [] };
+    return { effects: [], items: [this._createEffectData(effectType), ...this.getConditionData(token, effectType)] };
+  }
+
+  /**
+   * Clear lighting effect and condition items created by this module from a token's actor
+   * @param {Token} token - The token to clear effects from
+   */
+  static async clear(token) {
+    const itemsToRemove = token.actor.items.filter((item) => item.flags?.[MODULE.ID]?.effectType);
+
+    if (itemsToRemove.length > 0) {
+      const itemIds = itemsToRemove.map((item) => item.id);
+      await token.actor.deleteEmbeddedDocuments('Item', itemIds);
+      log(3, `Cleared ${itemsToRemove.length} PF2e effects from token: ${token.id}`);
+    }
+  }
+
+  /**
+   * Check whether an actor has hit points remaining
+   * @param {Actor} actor - The actor to check
+   * @returns {boolean} True if the actor is alive
+   */
+  static isAlive(actor) {
+    return TokenHelpers.hasHitPoints(actor.system.attributes?.hp);
+  }
+
+  /**
+   * Get senses from a PF2e actor's perception data
+   * @param {Actor} actor - The actor
+   * @returns {Object<string, number>} Sense ranges keyed by SENSES value
+   */
+  static senses(actor) {
+    const senses = actor.system.perception?.senses ?? actor.system.traits?.senses ?? [];
+    const result = {};
+
+    for (const sense of senses) {
+      const senseKey = this.SENSE_TYPES[sense.type];
+      if (senseKey) result[senseKey] = sense.range ?? Infinity;
+    }
+
+    return result;
+  }
+
+  /**
+   * Register the hooks that re-check detection conditions when observers change
+   * A token's condition depends on every opposing observer, so it is re-checked when one moves, changes its senses,
+   * or is created or deleted, not only when the token's own light level changes
+   * Only the changed token and the opponents its senses reach before or after the change are re-checked
+   * Must be called once the game is ready
+   */
+  static registerObserverHooks() {
+    const recheck = foundry.utils.debounce(() => this._recheckConditions(), 200);
+    const onObserverChange = (tokenDocument) => {
+      if (tokenDocument.parent?.id !== canvas.scene?.id) return;
+      this._changedObservers.add(tokenDocument.id);
+      recheck();
+    };
+
+    Hooks.on('canvasReady', () => this._indexSenseAreas());
+    if (canvas.ready) this._indexSenseAreas();
+
+    Hooks.on('createToken', (tokenDocument, options, userId) => onObserverChange(tokenDocument));
+    Hooks.on('updateToken', (tokenDocument, changes, options, userId) => {
+      if (this.OBSERVER_KEYS.some((key) => key in changes)) onObserverChange(tokenDocument);
+    });
+    Hooks.on('deleteToken', (tokenDocument, options, userId) => onObserverChange(tokenDocument));
+
+    log(3, 'Initialized PF2e observer hooks');
+  }
+
+  /**
+   * Get condition item data for a token in dim light or darkness
+   * The condition applies only when every opposing observer perceives the token in that light
+   * Custom tiers use the condition of the core tier they count as
+   * @param {Token} token - The token receiving the lighting effect
+   * @param {string} lightLevel - The token's light level, such as 'dim' or 'dark'
+   * @returns {Object[]} Condition item data to create on the token's actor
+   */
+  static getConditionData(token, lightLevel) {
+    const perceivedLevel = LightTiers.getCoreTier(this.getObservedLightLevel(token, lightLevel));
+
+    let slug = null;
+    if (perceivedLevel === LIGHT_TIERS.CORE.DIM && game.settings.get(MODULE.ID, SETTINGS.PF2E_CONCEALMENT)) {
+      slug = 'concealed';
+    } else if (perceivedLevel === LIGHT_TIERS.CORE.DARK) {
+      const darknessCondition = game.settings.get(MODULE.ID, SETTINGS.PF2E_DARKNESS_CONDITION);
+      if (darknessCondition !== PF2E.DARKNESS_CONDITIONS.NONE) slug = darknessCondition;
+    }
+
+    if (!slug) return [];
+
+    const condition = game.pf2e?.ConditionManager?.getCondition(slug);
+    if (!condition) {
+      log(2, `PF2e condition not found: ${slug}`);
+      return [];
+    }
+
+    const conditionData = condition.toObject();
+    foundry.utils.setProperty(conditionData, `flags.${MODULE.ID}.effectType`, slug);
+
+    log(3, `Applying PF2e ${slug} condition to token ${token.id}`);
+    return [conditionData];
+  }
+
+  /**
+   * Get the best light level at which opposing observers perceive a token
+   * Tokens without opposing observers on the scene use their actual light level
+   * @param {Token} token - The observed token
+   * @param {string} lightLevel - The token's light level
+   * @returns {string} The best perceived light level, such as 'bright', 'dim', or 'dark'
+   */
+  static getObservedLightLevel(token, lightLevel) {
+    const observers = canvas.tokens.placeables.filter((observer) => observer !== token && observer.actor && this._isOpposing(observer.actor, token.actor));
+    if (!observers.length) return lightLevel;
+
+    const perceivedLevels = observers.map((observer) => LightTiers.getIndex(PerceptionCalculator.perceiveLightLevel(observer, token, lightLevel)));
+    return LightingCalculator.convertLightLevelToText(Math.max(...perceivedLevels));
+  }
+
+  /**
+   * Create the lighting effect item data
+   * Custom tiers are named after the tier and get the roll options of the core tier they count as
+   * The self: options become target: options, such as target:lighting:dim, in the rolls of actors targeting the token
+   * These options reflect the token's own light level, not how each attacker perceives it: an attacker with darkvision
+   * still sees target:lighting:dark, its senses are only accounted for by the detection conditions, see getConditionData
+   * @param {string} effectType - The light tier of the effect, such as 'dark' or 'dim'
+   * @returns {Object} PF2e effect item data
+   * @private
+   */
+  static _createEffectData(effectType) {
+    const coreTier = LightTiers.getCoreTier(effectType);
+    const isDark = coreTier === LIGHT_TIERS.CORE.DARK;
+    const isCoreTier = coreTier === effectType;
+
+    // PF2e-specific configurations, the older roll options are kept for existing rule elements
+    const legacyRuleOption = isDark ? 'lighting:darkness' : 'lighting:dim-light';
+    const icon = isDark ? 'systems/pf2e/icons/default-icons/ancestry.svg' : 'systems/pf2e/icons/default-icons/character.svg';
+
+    const effectName = coreTier.charAt(0).toUpperCase() + coreTier.slice(1);
+    const ruleOptions = [...new Set([`lighting:${effectType}`, `lighting:${coreTier}`, `self:lighting:${effectType}`, `self:lighting:${coreTier}`, legacyRuleOption])];
+
+    return {
+      name: isCoreTier ? game.i18n.localize(`TOKENLIGHTCONDITION.Effects.${effectName}.Name`) : LightTiers.getLabel(effectType),
+      type: 'effect',
+      effects: [],
+      system: {
+        description: {
+          gm: '',
+          value: game.i18n.localize(`TOKENLIGHTCONDITION.Effects.${effectName}.Description`)
+        },
+        rules: ruleOptions.map((option) => ({ key: 'RollOption', option })),
+        slug: `tokenlightcondition-${effectType}`,
+        traits: {
+          otherTags: [],
+          value: []
+        },
+        level: { value: 0 },
+        duration: {
+          value: 1,
+          unit: 'unlimited',
+          expiry: 'turn-start',
+          sustained: false
+        },
+        tokenIcon: { show: true },
+        badge: null,
+        context: null,
+        unidentified: true
+      },
+      img: icon,
+      flags: {
+        [MODULE.ID]: {
+          effectType: effectType
+        }
+      }
+    };
+  }
+
+  /**
+   * Re-check the detection conditions of the tokens changed observers can affect when either condition is enabled
+   * Tokens whose condition did not change are not written, see EffectsManager.syncEffects
+   * @private
+   */
+  static async _recheckConditions() {
+    const tokens = this._getAffectedTokens();
+    if (!tokens.size || !game.user.isGM || !TokenHelpers.isModuleEnabled()) return;
+
+    const concealment = game.settings.get(MODULE.ID, SETTINGS.PF2E_CONCEALMENT);
+    const darknessCondition = game.settings.get(MODULE.ID, SETTINGS.PF2E_DARKNESS_CONDITION);
+    if (!concealment && darknessCondition === PF2E.DARKNESS_CONDITIONS.NONE) return;
+
+    log(3, `Observers changed, re-checking PF2e detection conditions of ${tokens.size} tokens`);
+    await TokenHelpers.reapplyTokenEffects(tokens);
+  }
+
+  /**
+   * Get the tokens whose conditions the changed observers can affect, and remember the observers' new sense areas
+   * Out of sense range an observer perceives a token's actual light level, which never changes its condition
+   * @returns {Set<Token>} The changed tokens and the opponents within their sense areas before or after the change
+   * @private
+   */
+  static _getAffectedTokens() {
+    const tokens = new Set();
+
+    for (const id of this._changedObservers) {
+      const observer = canvas.tokens.get(id);
+      const previousArea = this._senseAreas.get(id);
+      const area = observer ? this._getSenseArea(observer) : null;
+
+      if (observer) {
+        this._senseAreas.set(id, area);
+        tokens.add(observer);
+      } else {
+        this._senseAreas.delete(id);
+      }
+
+      // The opponents of a deleted observer are unknown, so every token it reached is re-checked
+      for (const target of LightIndex.getTokens([previousArea, area].filter(Boolean))) {
+        if (target === observer || !target.actor) continue;
+        if (!observer || this._isOpposing(observer.actor, target.actor)) tokens.add(target);
+      }
+    }
+
+    this._changedObservers.clear();
+    return tokens;
+  }
+
+  /**
+   * Remember the sense area of every token on the scene
+   * @private
+   */
+  static _indexSenseAreas() {
+    this._senseAreas.clear();
+    this._changedObservers.clear();
+    for (const token of canvas.tokens.placeables) this._senseAreas.set(token.id, this._getSenseArea(token));
+  }
+
+  /**
+   * Get the area within which a token's senses can change the light level it perceives
+   * A square around the token's center with the range of its longest sense, which contains every grid distance within that range
+   * @param {Token} token - The observing token
+   * @returns {PIXI.Rectangle|null} The area, null when the token has no senses
+   * @private
+   */
+  static _getSenseArea(token) {
+    if (!token.actor) return null;
+
+    const range = Math.max(0, ...Object.values(PerceptionCalculator.getSenses(token)));
+    if (!(range > 0)) return null;
+    if (range === Infinity) return canvas.dimensions.rect;
+
+    const radius = range * canvas.dimensions.distancePixels;
+    const { x, y } = token.center;
+    return new PIXI.Rectangle(x - radius, y - radius, radius * 2, radius * 2);
+  }
+
+  /**
+   * Check whether two actors are on opposing sides
+   * Uses PF2e alliances when both actors have one, otherwise player ownership
+   * @param {Actor} actor - The first actor
+   * @param {Actor} other - The second actor
+   * @returns {boolean} True if the actors oppose each other
+   * @private
+   */
+  static _isOpposing(actor, other) {
+    const alliance = actor.alliance;
+    const otherAlliance = other.alliance;
+    if (alliance && otherAlliance) return alliance !== otherAlliance;
+    return actor.hasPlayerOwner !== other.hasPlayerOwner;
+  }
+}
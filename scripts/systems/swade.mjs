@@ -0,0 +1,19 @@
+/**
+ * Savage Worlds Adventure Edition adapter for Token Light Condition module
+ */
+
+/**
+ * SWADE tracks wounds instead of hit points, effects and senses use the generic adapter
+ */
+export class SwadeIntegration {
+  /**
+   * Check whether an actor is alive, a character is incapacitated once its wounds exceed its maximum
+   * @param {Actor} actor - The actor to check
+   * @returns {boolean} True if the actor is alive
+   */
+  static isAlive(actor) {
+    const wounds = actor.system.wounds;
+    if (!wounds) return true;
+    return wounds.value <= wounds.max;
+  }
+}
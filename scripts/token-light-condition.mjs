@@ -3,11 +3,24 @@
  * Handles hook registration, scene controls, and effect processing queue
  */
 
-import { MODULE, SETTINGS } from './constants.mjs';
+import { TokenLightConditionAPI } from './api.mjs';
+import { LightingDashboard } from './apps/lighting-dashboard.mjs';
+import { HOOKS, MODULE, OVERRIDE_DURATIONS, SETTINGS } from './constants.mjs';
 import { initializeLogger, log } from './logger.mjs';
+import { SystemAdapters } from './systems/adapters.mjs';
+import { Dnd5eIntegration } from './systems/dnd5e.mjs';
+import { Pf2eIntegration } from './systems/pf2e.mjs';
+import { LightBadges } from './utils/badges.mjs';
 import { EffectsManager } from './utils/effects.mjs';
 import { TokenHelpers } from './utils/helpers.mjs';
+import { LightIndex } from './utils/light-index.mjs';
 import { LightingCalculator } from './utils/lighting.mjs';
+import { MigrationRunner } from './utils/migrations.mjs';
+import { LightOverrides } from './utils/overrides.mjs';
+import { LightLevelRegionBehaviorType } from './utils/region-behavior.mjs';
+import { SceneSettings } from './utils/scene-settings.mjs';
+import { LightStatusEffects } from './utils/status-effects.mjs';
+import { LightingZones } from './utils/zones.mjs';
 
 /**
  * Module state tracking variables
@@ -84,13 +97,21 @@ export const effectQueue = {
         }
       }
 
-      // Process each valid operation
+      // Collect the valid operations, clearing is allowed for tokens that are no longer tracked
+      const changes = [];
       for (const [tokenId, { lightLevel }] of validOperations) {
         const token = canvas.tokens.get(tokenId);
-        if (token && TokenHelpers.isValidToken(token)) {
-          await this.processTokenEffects(token, lightLevel);
+        if (token?.actor && (lightLevel === 'clear' || TokenHelpers.isValidToken(token))) {
+          changes.push({ token, lightLevel });
         }
       }
+
+      // Adapters without effect data apply their effects themselves, one token at a time
+      if (SystemAdapters.current.getEffectData) {
+        await this.processTokenBatch(changes);
+      } else {
+        for (const { token, lightLevel } of changes) await this.processTokenEffects(token, lightLevel);
+      }
     } catch (error) {
       log(1, 'Error processing effect queue:', error);
     } finally {
@@ -103,30 +124,88 @@ export const effectQueue = {
     }
   },
 
+  /**
+   * Process effects for several tokens at once without triggering hooks
+   * Only effects that differ are written, and light levels are stored with one token update per scene
+   * A token's light level is only stored once its effects were written
+   * Fires the lightLevelChanged hook for each token once its new level has been stored
+   * @param {Array<{token: Token, lightLevel: string}>} changes - Tokens with their light tier ID or 'clear'
+   */
+  async processTokenBatch(changes) {
+    if (!changes.length) return;
+    log(3, `Processing effects for ${changes.length} tokens`);
+
+    const previousLevels = new Map(changes.map(({ token }) => [token, TokenHelpers.getStoredLightLevel(token) ?? null]));
+    const failedTokens = await EffectsManager.syncEffects(changes);
+
+    // Group the flag updates of tokens whose level changed by scene
+    // Tokens whose effects failed keep their old level, so the next calculation retries them
+    const sceneUpdates = new Map();
+    for (const { token, lightLevel } of changes) {
+      const newLightLevel = lightLevel === 'clear' ? null : lightLevel;
+      if (newLightLevel === previousLevels.get(token) || failedTokens.has(token)) continue;
+
+      const scene = token.document.parent;
+      if (!sceneUpdates.has(scene)) sceneUpdates.set(scene, []);
+      sceneUpdates.get(scene).push({
+        token,
+        newLightLevel,
+        update: newLightLevel ? { _id: token.id, [`flags.${MODULE.ID}.lightLevel`]: newLightLevel } : { _id: token.id, [`flags.${MODULE.ID}.-=lightLevel`]: null }
+      });
+    }
+
+    for (const [scene, entries] of sceneUpdates) {
+      try {
+        await scene.updateEmbeddedDocuments(
+          'Token',
+          entries.map((entry) => entry.update)
+        );
+      } catch (error) {
+        log(1, `Error storing light levels on scene ${scene.id}:`, error);
+        continue;
+      }
+
+      // Notify other modules of the change
+      for (const { token, newLightLevel } of entries) {
+        Hooks.callAll(HOOKS.LIGHT_LEVEL_CHANGED, token, newLightLevel, previousLevels.get(token));
+      }
+    }
+
+    log(3, `Completed effects processing for ${changes.length} tokens`);
+  },
+
   /**
    * Process effects for a single token without triggering hooks
+   * Used for adapters that implement apply without getEffectData, see SystemAdapters
+   * Fires the lightLevelChanged hook once the new level has been stored
    * @param {Token} token - The token to process
-   * @param {string} lightLevel - The light level ('bright', 'dim', 'dark', or 'clear')
+   * @param {string} lightLevel - The light tier ID or 'clear'
    */
   async processTokenEffects(token, lightLevel) {
     try {
       log(3, `Processing effects for token ${token.id}: ${lightLevel}`);
 
+      const previousLightLevel = TokenHelpers.getStoredLightLevel(token) ?? null;
+
       // Always clear existing effects first
       await EffectsManager.clearEffects(token);
 
-      // Add new effects based on light level (skip for 'clear' or 'bright')
-      if (lightLevel === 'dark') {
-        await EffectsManager.addDarkEffect(token);
-      } else if (lightLevel === 'dim') {
-        await EffectsManager.addDimEffect(token);
+      // Add the effect of the new light tier (skip for 'clear')
+      if (lightLevel !== 'clear') {
+        await EffectsManager.addLightingEffect(token, lightLevel);
       }
 
       // Update the token's light level flag
       if (lightLevel !== 'clear') {
-        await token.actor.setFlag(MODULE.ID, 'lightLevel', lightLevel);
+        await token.document.setFlag(MODULE.ID, 'lightLevel', lightLevel);
       } else {
-        await token.actor.unsetFlag(MODULE.ID, 'lightLevel');
+        await token.document.unsetFlag(MODULE.ID, 'lightLevel');
+      }
+
+      // Notify other modules of the change
+      const newLightLevel = lightLevel === 'clear' ? null : lightLevel;
+      if (newLightLevel !== previousLightLevel) {
+        Hooks.callAll(HOOKS.LIGHT_LEVEL_CHANGED, token, newLightLevel, previousLightLevel);
       }
 
       log(3, `Completed effects processing for token ${token.id}`);
@@ -136,6 +215,26 @@ export const effectQueue = {
   }
 };
 
+/**
+ * Expose the public API as early as possible so other modules can use it from their own hooks
+ */
+Hooks.once('init', () => {
+  game.modules.get(MODULE.ID).api = TokenLightConditionAPI;
+
+  // Register the lighting zone region behavior
+  LightLevelRegionBehaviorType.register();
+
+  // Register the built-in system adapters, modules may register their own from now on
+  SystemAdapters.registerBuiltInAdapters();
+});
+
+/**
+ * Rebuild the lighting status effects registered at init with their translated names
+ */
+Hooks.once('i18nInit', () => {
+  LightStatusEffects.register();
+});
+
 /**
  * Module initialization when the game is ready
  */
@@ -149,16 +248,28 @@ Hooks.once('ready', async () => {
   // Mark module as initialized
   moduleInitialized = true;
 
-  // Initialize effects system
+  // Upgrade data written by earlier versions before any token is processed
+  await MigrationRunner.run();
+
+  // Select the system adapter and initialize effects system
+  SystemAdapters.select();
   await EffectsManager.initializeEffects();
 
+  // Initialize system rule integrations
+  if (game.system.id === 'dnd5e') {
+    Dnd5eIntegration.registerRollHooks();
+    Dnd5eIntegration.registerSenseHooks();
+  }
+  if (game.system.id === 'pf2e') Pf2eIntegration.registerObserverHooks();
+
   // Initialize integrations after a short delay
   setTimeout(async () => {
     await initializeIntegrations();
   }, 100);
 
-  // Refresh UI elements
+  // Refresh UI elements, badges were skipped while the canvas was drawn before the settings existed
   ui.effects?.render(true);
+  LightBadges.refreshAll();
 
   log(3, 'Token Light Condition initialization complete');
 });
@@ -190,7 +301,7 @@ Hooks.on('createToken', async (tokenDocument, options, userId) => {
 
 /**
  * Handle token document updates
- * Responds to movement, elevation changes, and light modifications
+ * Responds to movement, elevation, and lighting configuration changes
  */
 Hooks.on('updateToken', (tokenDocument, changes, options, userId) => {
   if (!game.user.isGM || !TokenHelpers.isModuleEnabled()) return;
@@ -201,61 +312,120 @@ Hooks.on('updateToken', (tokenDocument, changes, options, userId) => {
   });
 
   // Check for movement-related changes
-  const movementKeys = ['x', 'y', 'elevation', 'hidden'];
+  const movementKeys = ['x', 'y', 'elevation', 'hidden', 'width', 'height'];
   const hasMovement = movementKeys.some((key) => key in changes);
 
-  // Check for lighting-related changes
-  const lightKeys = ['light.bright', 'light.dim', 'light.luminosity', 'light.angle', 'light.rotation'];
-  const hasLightChange = lightKeys.some((key) => foundry.utils.hasProperty(changes, key));
+  // The token's cached light level no longer applies once it moved or its configuration changed
+  const configKeys = [`flags.${MODULE.ID}.samplingMode`, `flags.${MODULE.ID}.coverageRule`, `flags.${MODULE.ID}.exclude`, `flags.${MODULE.ID}.override`, `flags.${MODULE.ID}.-=override`];
+  const hasConfigChange = configKeys.some((key) => foundry.utils.hasProperty(changes, key));
+  if (hasMovement || hasConfigChange) LightingCalculator.invalidate(tokenDocument);
+
+  // Moving ends an override that lasts until the token moves, clearing it triggers the recalculation
+  const override = LightOverrides.get(tokenDocument.object);
+  const hasPositionChange = ['x', 'y', 'elevation'].some((key) => key in changes);
+  if (hasPositionChange && override?.duration === OVERRIDE_DURATIONS.MOVE) {
+    log(3, `Token ${tokenDocument.id} moved, clearing its light level override`);
+    LightOverrides.clear(tokenDocument.object);
+    return;
+  }
 
-  if (hasMovement) {
-    log(3, 'Movement detected, updating token lighting');
+  // Changes to the token's own light are handled with the light index, see handleLightChange
+  if (hasMovement || hasConfigChange) {
+    log(3, 'Movement or configuration change detected, updating token lighting');
     const token = tokenDocument.object;
-    if (token && TokenHelpers.isValidToken(token)) {
+    if (token?.actor) {
       debounceTokenCalculation(token);
     }
-  } else if (hasLightChange) {
-    log(3, 'Light properties changed, updating all tokens');
-    debounceAllTokensCalculation();
   }
 });
 
 /**
- * Handle ambient light updates
+ * Handle status effects that exclude tokens from tracking or mark them as dead
  */
-Hooks.on('updateAmbientLight', (lightDocument, changes, options, userId) => {
+Hooks.on('createActiveEffect', (effect, options, userId) => handleStatusChange(effect));
+Hooks.on('deleteActiveEffect', (effect, options, userId) => handleStatusChange(effect));
+
+/**
+ * Handle actor ownership changes when only player-owned tokens are tracked
+ */
+Hooks.on('updateActor', (actor, changes, options, userId) => {
   if (!game.user.isGM || !TokenHelpers.isModuleEnabled()) return;
-  log(3, 'Ambient light updated, refreshing all token lighting');
-  debounceAllTokensCalculation();
+  if (!('ownership' in changes) || !game.settings.get(MODULE.ID, SETTINGS.PLAYER_OWNED_ONLY)) return;
+
+  log(3, `Ownership changed for actor ${actor.id}, updating token lighting`);
+  actor.getActiveTokens().forEach((token) => debounceTokenCalculation(token));
 });
 
 /**
- * Handle ambient light creation
+ * Expire light level overrides that last a number of rounds
  */
-Hooks.on('createAmbientLight', (lightDocument, options, userId) => {
+Hooks.on('updateCombat', (combat, changes, options, userId) => {
+  if (!game.user.isGM || !TokenHelpers.isModuleEnabled() || !('round' in changes)) return;
+  LightOverrides.clearExpired();
+});
+
+Hooks.on('deleteCombat', (combat, options, userId) => {
   if (!game.user.isGM || !TokenHelpers.isModuleEnabled()) return;
-  log(3, 'Ambient light created, refreshing all token lighting');
-  debounceAllTokensCalculation();
+  LightOverrides.clearExpired();
 });
 
 /**
- * Handle ambient light deletion
+ * Index the lights of each scene as its canvas is drawn
  */
-Hooks.on('deleteAmbientLight', (lightDocument, options, userId) => {
-  if (!game.user.isGM || !TokenHelpers.isModuleEnabled()) return;
-  log(3, 'Ambient light deleted, refreshing all token lighting');
-  debounceAllTokensCalculation();
+Hooks.on('canvasReady', () => {
+  LightIndex.build();
+  LightingCalculator.invalidateAll();
 });
 
+/**
+ * Handle ambient light creation, updates and deletion
+ */
+Hooks.on('createAmbientLight', (lightDocument, options, userId) => handleLightChange(lightDocument));
+Hooks.on('updateAmbientLight', (lightDocument, changes, options, userId) => handleLightChange(lightDocument));
+Hooks.on('deleteAmbientLight', (lightDocument, options, userId) => handleLightChange(lightDocument, { deleted: true }));
+
+/**
+ * Handle tokens whose light is created, moved, changed, or deleted
+ */
+Hooks.on('createToken', (tokenDocument, options, userId) => handleLightChange(tokenDocument));
+Hooks.on('updateToken', (tokenDocument, changes, options, userId) => {
+  const lightKeys = ['x', 'y', 'elevation', 'width', 'height', 'hidden', 'light'];
+  if (lightKeys.some((key) => key in changes)) handleLightChange(tokenDocument);
+});
+Hooks.on('deleteToken', (tokenDocument, options, userId) => {
+  LightingCalculator.invalidate(tokenDocument);
+  handleLightChange(tokenDocument, { deleted: true });
+});
+
+/**
+ * Handle wall changes that block or let through the light around them
+ */
+Hooks.on('createWall', (wallDocument, options, userId) => handleWallChange(wallDocument));
+Hooks.on('updateWall', (wallDocument, changes, options, userId) => handleWallChange(wallDocument, changes));
+Hooks.on('deleteWall', (wallDocument, options, userId) => handleWallChange(wallDocument));
+
 /**
  * Handle scene updates that affect lighting
  */
 Hooks.on('updateScene', (sceneDocument, changes, options, userId) => {
-  if (!game.user.isGM || !TokenHelpers.isModuleEnabled()) return;
-  if (sceneDocument.id !== canvas.scene?.id) return;
+  if (!game.user.isGM || sceneDocument.id !== canvas.scene?.id) return;
+
+  // Handle the scene enabling or disabling the module
+  if (foundry.utils.hasProperty(changes, `flags.${MODULE.ID}.settings.${SETTINGS.ENABLE}`)) {
+    if (TokenHelpers.isModuleEnabled(sceneDocument)) {
+      log(3, 'Module enabled for scene, refreshing all token lighting');
+      LightingCalculator.refreshAllTokenLighting();
+    } else if (game.settings.get(MODULE.ID, SETTINGS.ENABLE)) {
+      log(3, 'Module disabled for scene, clearing all token effects');
+      TokenHelpers.clearAllTokenEffects();
+    }
+    return;
+  }
+
+  if (!TokenHelpers.isModuleEnabled(sceneDocument)) return;
 
   // Check for lighting-related scene changes
-  const lightingKeys = ['environment.darknessLevel', 'environment.globalLight'];
+  const lightingKeys = ['environment.darknessLevel', 'environment.globalLight', `flags.${MODULE.ID}.settings`];
   const hasLightingChange = lightingKeys.some((key) => foundry.utils.hasProperty(changes, key));
 
   if (hasLightingChange) {
@@ -264,6 +434,45 @@ Hooks.on('updateScene', (sceneDocument, changes, options, userId) => {
   }
 });
 
+/**
+ * Handle drawing creation, updates and deletion for lighting zones
+ */
+Hooks.on('createDrawing', (drawingDocument, options, userId) => handleZoneChange(drawingDocument));
+Hooks.on('updateDrawing', (drawingDocument, changes, options, userId) => handleZoneChange(drawingDocument, changes));
+Hooks.on('deleteDrawing', (drawingDocument, options, userId) => handleZoneChange(drawingDocument));
+
+/**
+ * Handle region and region behavior changes for lighting zones
+ * Regions created with their behaviors, such as pasted or imported ones, only fire createRegion
+ */
+Hooks.on('createRegion', (regionDocument, options, userId) => handleZoneChange(regionDocument));
+Hooks.on('updateRegion', (regionDocument, changes, options, userId) => handleZoneChange(regionDocument));
+Hooks.on('deleteRegion', (regionDocument, options, userId) => handleZoneChange(regionDocument));
+Hooks.on('createRegionBehavior', (behaviorDocument, options, userId) => handleZoneChange(behaviorDocument));
+Hooks.on('updateRegionBehavior', (behaviorDocument, changes, options, userId) => handleZoneChange(behaviorDocument));
+Hooks.on('deleteRegionBehavior', (behaviorDocument, options, userId) => handleZoneChange(behaviorDocument));
+
+/**
+ * Add the lighting zone tab to the drawing configuration sheet
+ */
+Hooks.on('renderDrawingConfig', (app, html, data) => {
+  LightingZones.addDrawingConfigTab(app, html);
+});
+
+/**
+ * Add the module tab to the scene configuration sheet
+ */
+Hooks.on('renderSceneConfig', (app, html, data) => {
+  SceneSettings.addSceneConfigTab(app, html);
+});
+
+/**
+ * Add the module tab to the token configuration sheet
+ */
+Hooks.on('renderTokenConfig', (app, html, data) => {
+  TokenHelpers.addTokenConfigTab(app, html);
+});
+
 /**
  * Handle token HUD rendering
  * Shows lighting indicators without recalculating
@@ -282,14 +491,134 @@ Hooks.on('renderTokenHUD', (tokenHUD, html, data) => {
   } else {
     LightingCalculator.showPlayerLightingHUD(selectedToken, tokenHUD, html);
   }
+
+  // Show how the selected token perceives the user's target
+  const target = game.user.targets.size === 1 ? game.user.targets.first() : null;
+  if (target && target !== selectedToken) {
+    LightingCalculator.showPerceivedLightingHUD(selectedToken, target, html);
+  }
+});
+
+/**
+ * Re-render an open token HUD when the user changes targets so the perceived light level stays current
+ */
+Hooks.on('targetToken', (user, token, targeted) => {
+  if (user !== game.user || !canvas.hud.token?.rendered) return;
+  canvas.hud.token.render();
+});
+
+/**
+ * Keep the light level badges on tokens current for every user
+ */
+Hooks.on('refreshToken', (token, flags) => {
+  LightBadges.refresh(token);
+});
+
+Hooks.on('updateActor', (actor, changes, options, userId) => {
+  if (!('ownership' in changes)) return;
+  actor.getActiveTokens().forEach((token) => LightBadges.refresh(token));
+});
+
+Hooks.on('updateToken', (tokenDocument, changes, options, userId) => {
+  if (!tokenDocument.object || !foundry.utils.hasProperty(changes, `flags.${MODULE.ID}`)) return;
+  LightBadges.refresh(tokenDocument.object);
+});
+
+Hooks.on('updateScene', (sceneDocument, changes, options, userId) => {
+  if (sceneDocument.id !== canvas.scene?.id || !foundry.utils.hasProperty(changes, `flags.${MODULE.ID}.settings.${SETTINGS.ENABLE}`)) return;
+  LightBadges.refreshAll();
 });
 
+/**
+ * Refresh all token lighting when a lighting zone document changes
+ * @param {Document} zoneDocument - The drawing, region, or region behavior document
+ * @param {Object} [changes] - Changes applied to the document
+ */
+function handleZoneChange(zoneDocument, changes) {
+  if (!game.user.isGM || !TokenHelpers.isModuleEnabled()) return;
+  const scene = zoneDocument.documentName === 'RegionBehavior' ? zoneDocument.parent?.parent : zoneDocument.parent;
+  if (scene?.id !== canvas.scene?.id) return;
+  if (!LightingZones.isZoneDocument(zoneDocument, changes)) return;
+
+  log(3, 'Lighting zone changed, refreshing all token lighting');
+  debounceAllTokensCalculation();
+}
+
+/**
+ * Update the light index and recalculate the tokens within a light's reach before and after it changed
+ * Tokens outside both areas keep their cached light level
+ * @param {AmbientLightDocument|TokenDocument} document - The light or token document
+ * @param {Object} [options={}] - Change options
+ * @param {boolean} [options.deleted=false] - Whether the document was deleted
+ */
+function handleLightChange(document, { deleted = false } = {}) {
+  if (document.parent?.id !== canvas.scene?.id) return;
+
+  // The index is kept on every client, perceived light levels are calculated by players too
+  const areas = LightIndex.update(document, { deleted });
+  if (!areas.length || !game.user.isGM || !TokenHelpers.isModuleEnabled()) return;
+
+  recalculateTokens(LightIndex.getTokens(areas), `Light ${document.id} changed`);
+}
+
+/**
+ * Recalculate the tokens lit through a wall when it is created, changed, or deleted
+ * A moved wall may have blocked lights elsewhere, so every token is recalculated
+ * @param {WallDocument} wallDocument - The wall document
+ * @param {Object} [changes] - Changes applied to the document
+ */
+function handleWallChange(wallDocument, changes) {
+  if (!game.user.isGM || !TokenHelpers.isModuleEnabled() || wallDocument.parent?.id !== canvas.scene?.id) return;
+
+  if (changes && 'c' in changes) {
+    log(3, 'Wall moved, refreshing all token lighting');
+    debounceAllTokensCalculation();
+    return;
+  }
+
+  const [x0, y0, x1, y1] = wallDocument.c;
+  const wallBounds = new PIXI.Rectangle(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0)).pad(1);
+  recalculateTokens(LightIndex.getTokens(LightIndex.getLitAreas(wallBounds)), `Wall ${wallDocument.id} changed`);
+}
+
+/**
+ * Discard the cached light levels of tokens and recalculate them
+ * @param {Set<Token>} tokens - The affected tokens
+ * @param {string} reason - Description of the change for the log
+ */
+function recalculateTokens(tokens, reason) {
+  log(3, `${reason}, updating lighting for ${tokens.size} tokens`);
+
+  for (const token of tokens) {
+    LightingCalculator.invalidate(token);
+    if (token.actor) debounceTokenCalculation(token);
+  }
+}
+
+/**
+ * Recalculate an actor's tokens when an effect adds or removes a skipped or defeated status
+ * @param {ActiveEffect} effect - The created or deleted effect
+ */
+function handleStatusChange(effect) {
+  if (!game.user.isGM || !TokenHelpers.isModuleEnabled()) return;
+
+  // Ignore our own lighting effects and effects not applied to an actor
+  if (effect.flags?.[MODULE.ID] || !(effect.parent instanceof Actor)) return;
+
+  const watchedStatuses = TokenHelpers.getSkipStatuses();
+  if (game.settings.get(MODULE.ID, SETTINGS.DEFEATED_IS_DEAD)) watchedStatuses.push(TokenHelpers.getDefeatedStatus());
+  if (!watchedStatuses.some((status) => effect.statuses.has(status))) return;
+
+  log(3, `Watched status changed on actor ${effect.parent.id}, updating token lighting`);
+  effect.parent.getActiveTokens().forEach((token) => debounceTokenCalculation(token));
+}
+
 /**
  * Debounced function for single token lighting calculation
  * @param {Token} token - The token to calculate
  */
 function debounceTokenCalculation(token) {
-  const delay = game.settings.get(MODULE.ID, SETTINGS.DELAY_CALCULATIONS);
+  const delay = SceneSettings.get(SETTINGS.DELAY_CALCULATIONS);
 
   // Clear any existing timeout for this token
   if (token._lightingTimeout) {
@@ -311,7 +640,7 @@ function debounceTokenCalculation(token) {
 function debounceAllTokensCalculation() {
   if (processingUpdate) return;
 
-  const delay = game.settings.get(MODULE.ID, SETTINGS.DELAY_CALCULATIONS);
+  const delay = SceneSettings.get(SETTINGS.DELAY_CALCULATIONS);
 
   // Clear any existing timeout
   if (refreshTimeoutId) {
@@ -427,6 +756,18 @@ export class TokenLightConditionModule {
         }
       };
 
+      // Add a button opening the lighting dashboard
+      lightingControl.tools['tokenlightcondition-dashboard'] = {
+        name: 'tokenlightcondition-dashboard',
+        order: 1000,
+        title: 'TOKENLIGHTCONDITION.Dashboard.Title',
+        icon: 'fa-solid fa-table-list',
+        button: true,
+        onChange: (event, active) => {
+          LightingDashboard.open();
+        }
+      };
+
       log(3, 'Scene control button added successfully');
     } catch (error) {
       log(1, 'Error adding scene control button:', error);
@@ -450,6 +791,7 @@ export class TokenLightConditionModule {
       version: this.getVersion(),
       initialized: moduleInitialized,
       enabled: TokenHelpers.isModuleEnabled(),
+      systemAdapter: SystemAdapters.active?.id ?? null,
       queueSize: effectQueue.pendingOperations.size,
       processingActive: effectQueue.processingActive,
       logLevel: MODULE.LOG_LEVEL
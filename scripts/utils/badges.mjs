@@ -0,0 +1,192 @@
+/**
+ * Light level badges for Token Light Condition module
+ * Draws the stored light level on tokens so it is visible without opening the token HUD
+ */
+
+import { BADGES, MODULE, SETTINGS } from '../constants.mjs';
+import { TokenHelpers } from './helpers.mjs';
+import { LightTiers } from './light-tiers.mjs';
+
+/**
+ * Manages the badge drawn as a child of each token
+ * Badges follow the client settings for which tokens show one, their style, corner, and size
+ */
+export class LightBadges {
+  /** @type {string} Name of the badge container among the token's children */
+  static BADGE_NAME = 'tokenlightcondition-badge';
+
+  /** @type {Map<string, Object>} Font Awesome glyphs keyed by icon class */
+  static _glyphs = new Map();
+
+  /**
+   * Draw, update, or remove the badge of a token
+   * The badge is only rebuilt when its level or appearance changed
+   * @param {Token} token - The token
+   */
+  static refresh(token) {
+    if (!game.ready || token.destroyed) return;
+
+    let badge = token.children.find((child) => child.name === this.BADGE_NAME);
+    const level = this.shouldShow(token) ? TokenHelpers.getStoredLightLevel(token) : null;
+
+    if (!level || !LightTiers.get(level)) {
+      badge?.destroy({ children: true });
+      return;
+    }
+
+    const style = game.settings.get(MODULE.ID, SETTINGS.BADGE_STYLE);
+    const size = game.settings.get(MODULE.ID, SETTINGS.BADGE_SIZE);
+    const key = `${level}:${style}:${size}:${LightTiers.getIcon(level)}`;
+
+    if (badge?.badgeKey !== key) {
+      badge?.destroy({ children: true });
+      badge = this._createBadge(level, style, size);
+      badge.name = this.BADGE_NAME;
+      badge.badgeKey = key;
+      token.addChild(badge);
+    }
+
+    this._positionBadge(token, badge);
+  }
+
+  /**
+   * Refresh the badges of every token on the canvas
+   */
+  static refreshAll() {
+    if (!canvas.ready) return;
+    canvas.tokens.placeables.forEach((token) => this.refresh(token));
+  }
+
+  /**
+   * Check whether the current user sees a badge on a token
+   * @param {Token} token - The token
+   * @returns {boolean} True if the token shows a badge
+   */
+  static shouldShow(token) {
+    if (!TokenHelpers.isModuleEnabled()) return false;
+
+    switch (game.settings.get(MODULE.ID, SETTINGS.BADGE_DISPLAY)) {
+      case BADGES.DISPLAY.OWNED:
+        return token.isOwner;
+      case BADGES.DISPLAY.VISIBLE:
+        return true;
+      case BADGES.DISPLAY.GM:
+        return game.user.isGM;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Get localization keys for badge display choices
+   * @returns {Object<string, string>} Display choices
+   */
+  static getDisplayChoices() {
+    return {
+      [BADGES.DISPLAY.NONE]: 'TOKENLIGHTCONDITION.Settings.BadgeDisplay.Choices.None',
+      [BADGES.DISPLAY.OWNED]: 'TOKENLIGHTCONDITION.Settings.BadgeDisplay.Choices.Owned',
+      [BADGES.DISPLAY.VISIBLE]: 'TOKENLIGHTCONDITION.Settings.BadgeDisplay.Choices.Visible',
+      [BADGES.DISPLAY.GM]: 'TOKENLIGHTCONDITION.Settings.BadgeDisplay.Choices.Gm'
+    };
+  }
+
+  /**
+   * Get localization keys for badge style choices
+   * @returns {Object<string, string>} Style choices
+   */
+  static getStyleChoices() {
+    return {
+      [BADGES.STYLES.LABEL]: 'TOKENLIGHTCONDITION.Settings.BadgeStyle.Choices.Label',
+      [BADGES.STYLES.ICON]: 'TOKENLIGHTCONDITION.Settings.BadgeStyle.Choices.Icon'
+    };
+  }
+
+  /**
+   * Get localization keys for badge position choices
+   * @returns {Object<string, string>} Position choices
+   */
+  static getPositionChoices() {
+    return {
+      [BADGES.POSITIONS.TOP_LEFT]: 'TOKENLIGHTCONDITION.Settings.BadgePosition.Choices.TopLeft',
+      [BADGES.POSITIONS.TOP_RIGHT]: 'TOKENLIGHTCONDITION.Settings.BadgePosition.Choices.TopRight',
+      [BADGES.POSITIONS.BOTTOM_LEFT]: 'TOKENLIGHTCONDITION.Settings.BadgePosition.Choices.BottomLeft',
+      [BADGES.POSITIONS.BOTTOM_RIGHT]: 'TOKENLIGHTCONDITION.Settings.BadgePosition.Choices.BottomRight'
+    };
+  }
+
+  /**
+   * Create the badge graphics for a light tier
+   * @param {string} level - The light tier ID
+   * @param {string} style - The badge style from BADGES.STYLES
+   * @param {number} size - The font size in pixels
+   * @returns {PIXI.Container} The badge
+   * @private
+   */
+  static _createBadge(level, style, size) {
+    const PreciseTextClass = foundry.canvas.containers?.PreciseText ?? PreciseText;
+    const textStyle = CONFIG.canvasTextStyle.clone();
+    textStyle.fontSize = size;
+    textStyle.fill = BADGES.COLORS[LightTiers.getCoreTier(level)] ?? 0xffffff;
+
+    let content = LightTiers.getAbbreviation(level);
+    if (style === BADGES.STYLES.ICON) {
+      const glyph = this._getIconGlyph(LightTiers.getIcon(level));
+      content = glyph.content;
+      textStyle.fontFamily = glyph.fontFamily;
+      textStyle.fontWeight = glyph.fontWeight;
+    }
+
+    const text = new PreciseTextClass(content, textStyle);
+    const padding = Math.ceil(size / 4);
+    text.position.set(padding, 0);
+
+    const background = new PIXI.Graphics();
+    background
+      .beginFill(0x000000, 0.6)
+      .drawRoundedRect(0, 0, text.width + padding * 2, text.height, padding)
+      .endFill();
+
+    const badge = new PIXI.Container();
+    badge.addChild(background, text);
+    return badge;
+  }
+
+  /**
+   * Move a badge to the configured corner of its token
+   * @param {Token} token - The token
+   * @param {PIXI.Container} badge - The token's badge
+   * @private
+   */
+  static _positionBadge(token, badge) {
+    const position = game.settings.get(MODULE.ID, SETTINGS.BADGE_POSITION);
+    const isRight = position === BADGES.POSITIONS.TOP_RIGHT || position === BADGES.POSITIONS.BOTTOM_RIGHT;
+    const isBottom = position === BADGES.POSITIONS.BOTTOM_LEFT || position === BADGES.POSITIONS.BOTTOM_RIGHT;
+
+    badge.position.set(isRight ? token.w - badge.width : 0, isBottom ? token.h - badge.height : 0);
+  }
+
+  /**
+   * Resolve the character and font of a Font Awesome icon class
+   * PIXI cannot render icon classes, so the glyph is read from the icon's ::before content
+   * @param {string} iconClass - Font Awesome icon class
+   * @returns {Object} The glyph {content, fontFamily, fontWeight}
+   * @private
+   */
+  static _getIconGlyph(iconClass) {
+    if (!this._glyphs.has(iconClass)) {
+      const icon = document.createElement('i');
+      icon.className = iconClass;
+      document.body.append(icon);
+
+      const style = getComputedStyle(icon, '::before');
+      this._glyphs.set(iconClass, {
+        content: style.content.replace(/^["']|["']$/g, ''),
+        fontFamily: style.fontFamily,
+        fontWeight: style.fontWeight
+      });
+      icon.remove();
+    }
+
+    return this._glyphs.get(iconClass);
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Cleanup of stale lighting data for Token Light Condition module
+ * Finds lighting effects and flags left behind across the world and removes or repairs them
+ */
+
+import { MODULE } from '../constants.mjs';
+import { log } from '../logger.mjs';
+import { EffectsManager } from './effects.mjs';
+import { TokenHelpers } from './helpers.mjs';
+import { LightTiers } from './light-tiers.mjs';
+import { MigrationRunner } from './migrations.mjs';
+
+/**
+ * Scans world actors, tokens on every scene, and unlocked world actor compendiums (GM only)
+ * A scan is a dry run that returns a report, applying the report removes or repairs what it found
+ * Report entries have {id, uuid, name, location, problem, action, count} and a level for repairs
+ */
+export class LightingCleanup {
+  /** Problems found by a scan, the values are localization key suffixes */
+  static PROBLEMS = {
+    /** @type {string} Lighting effects on an actor no token tracks */
+    ORPHANED_EFFECTS: 'OrphanedEffects',
+    /** @type {string} Light level stored on a token of a disabled scene or of a removed light tier */
+    STALE_LEVEL: 'StaleLevel',
+    /** @type {string} Light state flags that earlier versions stored on actors */
+    LEGACY_FLAGS: 'LegacyFlags',
+    /** @type {string} Lighting effect of another light tier than the token's light level */
+    MISMATCHED_EFFECT: 'MismatchedEffect'
+  };
+
+  /** Actions taken when applying a report */
+  static ACTIONS = {
+    /** @type {string} Delete the stale effects or flags */
+    REMOVE: 'remove',
+    /** @type {string} Reapply the effect of the token's light level */
+    REPAIR: 'repair'
+  };
+
+  /**
+   * Scan the world for stale lighting data without changing anything
+   * @returns {Promise<Object[]>} The report entries
+   */
+  static async scan() {
+    const entries = [];
+    const trackedActorIds = new Set();
+
+    for (const scene of game.scenes) {
+      const enabled = TokenHelpers.isModuleEnabled(scene);
+
+      for (const tokenDocument of scene.tokens) {
+        const level = tokenDocument.getFlag(MODULE.ID, 'lightLevel');
+        const isTracked = Boolean(level) && enabled && Boolean(LightTiers.get(level));
+
+        if (level && !isTracked) {
+          entries.push(this._createEntry(tokenDocument, scene.name, this.PROBLEMS.STALE_LEVEL, this.ACTIONS.REMOVE, 1));
+        }
+
+        if (tokenDocument.actorLink) {
+          if (isTracked) trackedActorIds.add(tokenDocument.actorId);
+        } else if (tokenDocument.actor) {
+          entries.push(...this._scanActor(tokenDocument.actor, scene.name, isTracked));
+        }
+
+        if (isTracked && scene.id === canvas.scene?.id && tokenDocument.actor && this._hasMismatchedEffect(tokenDocument.actor, level)) {
+          entries.push({ ...this._createEntry(tokenDocument, scene.name, this.PROBLEMS.MISMATCHED_EFFECT, this.ACTIONS.REPAIR, 1), level });
+        }
+      }
+    }
+
+    const worldLabel = game.i18n.localize('TOKENLIGHTCONDITION.Cleanup.World');
+    for (const actor of game.actors) {
+      entries.push(...this._scanActor(actor, worldLabel, trackedActorIds.has(actor.id)));
+    }
+
+    for (const pack of this._getActorPacks()) {
+      for (const actor of await pack.getDocuments()) {
+        entries.push(...this._scanActor(actor, pack.title, false));
+      }
+    }
+
+    log(3, `Cleanup scan found ${entries.length} problems`);
+    return entries;
+  }
+
+  /**
+   * Remove or repair the problems of report entries
+   * @param {Object[]} entries - Entries returned by scan
+   * @returns {Promise<number>} Number of entries applied
+   */
+  static async apply(entries) {
+    const { effectQueue } = await import('../token-light-condition.mjs');
+    let applied = 0;
+
+    for (const entry of entries) {
+      try {
+        const document = await fromUuid(entry.uuid);
+        if (!document) continue;
+
+        switch (entry.problem) {
+          case this.PROBLEMS.ORPHANED_EFFECTS:
+            await EffectsManager.removeLightingDocuments(document);
+            break;
+          case this.PROBLEMS.STALE_LEVEL:
+            await document.unsetFlag(MODULE.ID, 'lightLevel');
+            break;
+          case this.PROBLEMS.LEGACY_FLAGS:
+            await document.update(Object.fromEntries(MigrationRunner.ACTOR_LIGHT_FLAGS.map((key) => [`flags.${MODULE.ID}.-=${key}`, null])));
+            break;
+          case this.PROBLEMS.MISMATCHED_EFFECT:
+            effectQueue.add(document.id, entry.level);
+            break;
+        }
+        applied++;
+      } catch (error) {
+        log(1, `Error cleaning up ${entry.uuid}:`, error);
+      }
+    }
+
+    log(3, `Cleanup applied ${applied} of ${entries.length} entries`);
+    return applied;
+  }
+
+  /**
+   * Find the stale lighting data of one actor
+   * @param {Actor} actor - A world, synthetic, or compendium actor
+   * @param {string} location - Where the actor is, for the report
+   * @param {boolean} isTracked - Whether a token tracks the actor's light level
+   * @returns {Object[]} The actor's report entries
+   * @private
+   */
+  static _scanActor(actor, location, isTracked) {
+    const entries = [];
+
+    // Synthetic actors show the effects and flags of their base actor, which is reported on its own
+    const baseActor = actor.isToken ? game.actors.get(actor.id) : null;
+    const { effects, items } = EffectsManager.getLightingDocuments(actor);
+    const count = effects.filter((effect) => !baseActor?.effects.has(effect.id)).length + items.filter((item) => !baseActor?.items.has(item.id)).length;
+
+    if (!isTracked && count > 0) {
+      entries.push(this._createEntry(actor, location, this.PROBLEMS.ORPHANED_EFFECTS, this.ACTIONS.REMOVE, count));
+    }
+
+    const flags = actor.isToken ? actor.token.delta?.flags?.[MODULE.ID] : actor.flags?.[MODULE.ID];
+    const legacyFlags = MigrationRunner.ACTOR_LIGHT_FLAGS.filter((key) => flags?.[key] !== undefined);
+    if (legacyFlags.length) {
+      entries.push(this._createEntry(actor, location, this.PROBLEMS.LEGACY_FLAGS, this.ACTIONS.REMOVE, legacyFlags.length));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Check whether an actor has lighting effects of another light tier than a level
+   * Only active effects are compared, system effect items such as PF2e conditions are not named after a tier
+   * @param {Actor} actor - The actor
+   * @param {string} level - The light tier ID the actor's token stores
+   * @returns {boolean} True if an effect belongs to another tier
+   * @private
+   */
+  static _hasMismatchedEffect(actor, level) {
+    return EffectsManager.getLightingDocuments(actor).effects.some((effect) => effect.flags[MODULE.ID].type !== level);
+  }
+
+  /**
+   * Create a report entry
+   * @param {Document} document - The token or actor with the problem
+   * @param {string} location - Where the document is
+   * @param {string} problem - The problem from PROBLEMS
+   * @param {string} action - The action from ACTIONS
+   * @param {number} count - Number of stale effects or flags
+   * @returns {Object} The report entry
+   * @private
+   */
+  static _createEntry(document, location, problem, action, count) {
+    return { id: `${document.uuid}.${problem}`, uuid: document.uuid, name: document.name, location, problem, action, count };
+  }
+
+  /**
+   * Get the world actor compendiums that can be changed
+   * @returns {CompendiumCollection[]} Unlocked actor compendiums of the world
+   * @private
+   */
+  static _getActorPacks() {
+    return game.packs.filter((pack) => pack.documentName === 'Actor' && pack.metadata.packageType === 'world' && !pack.locked);
+  }
+}
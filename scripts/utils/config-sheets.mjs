@@ -0,0 +1,68 @@
+/**
+ * Configuration sheet integration for Token Light Condition module
+ * Injects module tabs into core document configuration sheets
+ */
+
+import { MODULE } from '../constants.mjs';
+import { log } from '../logger.mjs';
+
+/**
+ * Injects module configuration tabs into core document sheets
+ * Works with both ApplicationV2 sheets (v13) and legacy FormApplication sheets (v12)
+ */
+export class ConfigSheets {
+  /**
+   * Render a template and inject it as a new tab in a configuration sheet
+   * @param {Application|ApplicationV2} app - The sheet being rendered
+   * @param {HTMLElement|jQuery} html - The rendered sheet HTML
+   * @param {Object} options - Tab options
+   * @param {string} options.label - Localization key for the tab label
+   * @param {string} options.icon - Font Awesome icon class for the tab
+   * @param {string} options.template - Path of the Handlebars template for the tab content
+   * @param {Object} options.data - Data passed to the template
+   */
+  static async injectTab(app, html, { label, icon, template, data }) {
+    const element = html instanceof HTMLElement ? html : html[0];
+
+    // Remove a previously injected tab when the sheet re-renders
+    element?.querySelectorAll(`[data-tab="${MODULE.ID}"]`).forEach((node) => node.remove());
+
+    const nav = element?.querySelector('nav.tabs');
+    const group = nav?.dataset.group;
+
+    // Only consider top-level tabs, nested tab groups such as light settings have their own group
+    const existingTabs = element?.querySelectorAll(group ? `.tab[data-group="${group}"]` : '.tab[data-tab]');
+    if (!nav || !existingTabs?.length) {
+      log(2, `Could not find tabs in ${app.constructor.name}, skipping module tab`);
+      return;
+    }
+
+    const isApplicationV2 = app instanceof foundry.applications.api.ApplicationV2;
+    const isActive = isApplicationV2 && group && app.tabGroups?.[group] === MODULE.ID;
+
+    // Create the navigation link
+    const link = document.createElement('a');
+    link.dataset.tab = MODULE.ID;
+    if (group) link.dataset.group = group;
+    if (isApplicationV2) {
+      link.dataset.action = 'tab';
+    } else {
+      link.classList.add('item');
+    }
+    link.classList.toggle('active', isActive);
+    link.innerHTML = `<i class="${icon}" inert></i> <label>${game.i18n.localize(label)}</label>`;
+    nav.appendChild(link);
+
+    // Create the tab content after the last existing tab
+    const renderTemplate = foundry.applications.handlebars?.renderTemplate ?? globalThis.renderTemplate;
+    const section = document.createElement('div');
+    section.classList.add('tab');
+    section.classList.toggle('active', isActive);
+    section.dataset.tab = MODULE.ID;
+    if (group) section.dataset.group = group;
+    section.innerHTML = await renderTemplate(template, data);
+    existingTabs[existingTabs.length - 1].after(section);
+
+    if (!isApplicationV2) app.setPosition({ height: 'auto' });
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * Effect templates for Token Light Condition module
+ * Resolves the GM's customized lighting effects over the built-in defaults
+ */
+
+import { EFFECT_DATA, LIGHT_TIERS, MODULE, SETTINGS } from '../constants.mjs';
+import { log } from '../logger.mjs';
+import { LightTiers } from './light-tiers.mjs';
+
+/**
+ * Stores customized lighting effect templates in a world setting
+ * Each light tier has a template {name, img, description, statuses, changes}, whether it is applied is set on the tier
+ */
+export class EffectTemplates {
+  /** @type {string[]} Effect types that can be customized, the light tier IDs in display order */
+  static get TYPES() {
+    return LightTiers.getAll().map((tier) => tier.id);
+  }
+
+  /**
+   * Get the built-in template for an effect type
+   * Custom light tiers are named after the tier
+   * @param {string} effectType - The light tier ID
+   * @returns {Object|null} The default template or null for an invalid type
+   */
+  static getDefault(effectType) {
+    if (!LightTiers.get(effectType)) return null;
+
+    const label = LightTiers.getLabel(effectType);
+    const isCoreTier = Object.values(LIGHT_TIERS.CORE).includes(effectType);
+    const effectData = isCoreTier
+      ? EFFECT_DATA.getEffectData(effectType)
+      : {
+          name: game.i18n.format('TOKENLIGHTCONDITION.EffectTemplates.DefaultName', { label }),
+          img: 'icons/svg/aura.svg',
+          description: game.i18n.format('TOKENLIGHTCONDITION.EffectTemplates.DefaultDescription', { label }),
+          statuses: [effectType]
+        };
+
+    return {
+      name: effectData.name,
+      img: effectData.img,
+      description: effectData.description,
+      statuses: effectData.statuses,
+      changes: []
+    };
+  }
+
+  /**
+   * Get the template for an effect type, with the GM's customizations applied
+   * @param {string} effectType - The light tier ID
+   * @returns {Object|null} The template or null for an invalid type
+   */
+  static get(effectType) {
+    const defaultTemplate = this.getDefault(effectType);
+    if (!defaultTemplate) return null;
+
+    const customTemplate = game.settings.get(MODULE.ID, SETTINGS.EFFECT_TEMPLATES)?.[effectType] ?? {};
+    return foundry.utils.mergeObject(defaultTemplate, customTemplate, { inplace: false });
+  }
+
+  /**
+   * Get the templates of every effect type
+   * @returns {Object<string, Object>} Templates keyed by effect type
+   */
+  static getAll() {
+    return Object.fromEntries(this.TYPES.map((effectType) => [effectType, this.get(effectType)]));
+  }
+
+  /**
+   * Check whether the effect of a type should be applied, as set on its light tier
+   * @param {string} effectType - The light tier ID
+   * @returns {boolean} True if the effect is enabled
+   */
+  static isEnabled(effectType) {
+    return Boolean(LightTiers.get(effectType)?.effect);
+  }
+
+  /**
+   * Save customized templates
+   * @param {Object<string, Object>} templates - Templates keyed by effect type
+   */
+  static async save(templates) {
+    await game.settings.set(MODULE.ID, SETTINGS.EFFECT_TEMPLATES, templates);
+    log(3, 'Saved effect templates');
+  }
+
+  /**
+   * Build ActiveEffect data from the template of an effect type
+   * @param {string} effectType - The light tier ID
+   * @returns {Object|null} Effect data ready for ActiveEffect.create() or null if invalid type
+   */
+  static getEffectData(effectType) {
+    const template = this.get(effectType);
+    if (!template) return null;
+
+    return {
+      name: template.name,
+      img: template.img,
+      description: template.description,
+      statuses: template.statuses,
+      changes: template.changes,
+      disabled: false,
+      transfer: false,
+      flags: {
+        [MODULE.ID]: {
+          type: effectType,
+          lightLevel: effectType,
+          timestamp: Date.now()
+        }
+      }
+    };
+  }
+
+  /**
+   * Read template fields from an existing effect
+   * Items use their first effect, so world items and compendium entries can both be imported
+   * @param {string} uuid - UUID of an ActiveEffect or an Item with effects
+   * @returns {Promise<Object|null>} Template fields or null if no effect was found
+   */
+  static async importFromUuid(uuid) {
+    const document = await fromUuid(uuid);
+    const effect = document?.documentName === 'ActiveEffect' ? document : document?.effects?.contents[0];
+    if (!effect) {
+      log(2, `No effect found to import from ${uuid}`);
+      return null;
+    }
+
+    return {
+      name: effect.name,
+      img: effect.img,
+      description: effect.description ?? '',
+      statuses: [...effect.statuses],
+      changes: effect.changes.map((change) => ({ ...change }))
+    };
+  }
+}
@@ -3,12 +3,16 @@
  * Handles creation, modification, and removal of lighting condition effects
  */
 
-import { EFFECT_DATA, MODULE, SETTINGS } from '../constants.mjs';
+import { MODULE, SETTINGS } from '../constants.mjs';
 import { log } from '../logger.mjs';
+import { SystemAdapters } from '../systems/adapters.mjs';
+import { EffectTemplates } from './effect-templates.mjs';
+import { SceneSettings } from './scene-settings.mjs';
+import { LightStatusEffects } from './status-effects.mjs';
 
 /**
  * Manages lighting effects for tokens across different game systems
- * Provides system-specific implementations for D&D 5e, PF2e, and generic systems
+ * System-specific work is delegated to the active system adapter, see SystemAdapters
  */
 export class EffectsManager {
   /**
@@ -31,19 +35,13 @@ export class EffectsManager {
     }
 
     // Initialize system-specific effects
-    const gameSystemId = game.system.id;
-    log(3, `Initializing effects for system: ${gameSystemId}`);
-
-    switch (gameSystemId) {
-      case 'pf2e':
-        await this._initializePF2eEffects();
-        break;
-      case 'dnd5e':
-        await this._initializeDnd5eEffects();
-        break;
-      default:
-        log(3, `Using generic effects for system: ${gameSystemId}`);
-        break;
+    const adapter = SystemAdapters.current;
+    log(3, `Initializing effects for system: ${game.system.id} (adapter: ${adapter.id})`);
+
+    try {
+      await adapter.init();
+    } catch (error) {
+      log(1, `Error initializing effects with adapter ${adapter.id}:`, error);
     }
   }
 
@@ -59,42 +57,71 @@ export class EffectsManager {
 
     log(3, `Clearing lighting effects for token: ${token.id}`);
 
-    const gameSystemId = game.system.id;
-
     try {
-      switch (gameSystemId) {
-        case 'pf2e':
-          await this._clearPF2eEffects(token);
-          break;
-        default:
-          await this._clearGenericEffects(token);
-          break;
-      }
+      await SystemAdapters.current.clear(token);
     } catch (error) {
       log(1, `Error clearing effects for token ${token.id}:`, error);
     }
   }
 
   /**
-   * Add a dark lighting effect to a token (silent operation)
-   * @param {Token} token - The token to add the effect to
+   * Check whether a token's actor has a lighting effect created by this module
+   * @param {Token} token - The token to check
+   * @returns {boolean} True if the actor has a lighting effect
+   */
+  static hasLightingEffect(token) {
+    if (!token?.actor) return false;
+    const { effects, items } = this.getLightingDocuments(token.actor);
+    return effects.length > 0 || items.length > 0;
+  }
+
+  /**
+   * Get the lighting effects created by this module on an actor
+   * Covers flagged active effects and the effect and condition items of systems such as PF2e
+   * @param {Actor} actor - The actor, which may be a token's synthetic actor or a compendium actor
+   * @returns {{effects: ActiveEffect[], items: Item[]}} The flagged effects and items
    */
-  static async addDarkEffect(token) {
-    await this._addLightingEffect(token, 'dark');
+  static getLightingDocuments(actor) {
+    return {
+      effects: actor.effects.filter((effect) => effect.flags?.[MODULE.ID]?.type),
+      items: actor.items.filter((item) => item.flags?.[MODULE.ID]?.effectType)
+    };
+  }
+
+  /**
+   * Delete the lighting effects created by this module from an actor
+   * @param {Actor} actor - The actor, which may be a token's synthetic actor or a compendium actor
+   * @returns {Promise<number>} Number of documents deleted
+   */
+  static async removeLightingDocuments(actor) {
+    const { effects, items } = this.getLightingDocuments(actor);
+    if (effects.length)
+      await actor.deleteEmbeddedDocuments(
+        'ActiveEffect',
+        effects.map((effect) => effect.id)
+      );
+    if (items.length)
+      await actor.deleteEmbeddedDocuments(
+        'Item',
+        items.map((item) => item.id)
+      );
+    return effects.length + items.length;
   }
 
   /**
-   * Add a dim lighting effect to a token (silent operation)
+   * Add the lighting effect of a light tier to a token when the tier has an effect (silent operation)
    * @param {Token} token - The token to add the effect to
+   * @param {string} effectType - The light tier of the effect, such as 'dark' or 'dim'
    */
-  static async addDimEffect(token) {
-    await this._addLightingEffect(token, 'dim');
+  static async addLightingEffect(token, effectType) {
+    if (!EffectTemplates.isEnabled(effectType)) return;
+    await this._addLightingEffect(token, effectType);
   }
 
   /**
    * Add a lighting effect to a token (private implementation)
    * @param {Token} token - The token to add the effect to
-   * @param {string} effectType - The type of effect ('dark' or 'dim')
+   * @param {string} effectType - The light tier of the effect
    * @private
    */
   static async _addLightingEffect(token, effectType) {
@@ -103,304 +130,188 @@ export class EffectsManager {
       return;
     }
 
-    // Check if effects are enabled
-    let addEffects = true;
-    try {
-      addEffects = game.settings.get(MODULE.ID, SETTINGS.ADD_EFFECTS);
-    } catch (error) {
-      log(2, 'addEffects setting not available, defaulting to true');
-    }
-
-    if (!addEffects) {
+    if (!this._isSceneEffectsEnabled(token)) {
       log(3, `Effect creation disabled, skipping ${effectType} effect`);
       return;
     }
 
     log(3, `Adding ${effectType} effect to token: ${token.id}`);
 
-    const gameSystemId = game.system.id;
-
     try {
-      switch (gameSystemId) {
-        case 'pf2e':
-          await this._addPF2eEffect(token, effectType);
-          break;
-        default:
-          await this._addGenericEffect(token, effectType);
-          break;
-      }
+      await SystemAdapters.current.apply(token, effectType);
     } catch (error) {
       log(1, `Error adding ${effectType} effect to token ${token.id}:`, error);
     }
   }
 
   /**
-   * Initialize effects for PF2e system
-   * Creates world-level effect items that can be applied to tokens
-   * @private
+   * Bring the lighting effects of several tokens in line with their light levels (silent operation)
+   * Each actor's current effects are compared with the ones it should have, so only the differences are written
+   * An actor's changes are committed in one batch per document type and operation, actors are written in parallel
+   * New status effects are created with their status effect ID and status, as toggleStatusEffect would create them
+   * Requires an adapter with getEffectData, see SystemAdapters
+   * @param {Array<{token: Token, lightLevel: string}>} changes - Tokens with their light tier ID or 'clear'
+   * @returns {Promise<Set<Token>>} Tokens whose effects could not be prepared or written
    */
-  static async _initializePF2eEffects() {
-    log(3, 'Initializing PF2e lighting effects');
-
-    const effectTypes = ['dim', 'dark'];
-    const itemsToCreate = [];
-
-    // Check each effect type and create world items if they don't exist
-    for (const effectType of effectTypes) {
-      const localizedName = game.i18n.localize(`TOKENLIGHTCONDITION.Effects.${effectType.charAt(0).toUpperCase() + effectType.slice(1)}.Name`);
-
-      const existingItem = game.items.find((item) => item.name === localizedName);
-
-      if (!existingItem) {
-        const itemData = this._createPF2eEffectData(effectType);
-        itemsToCreate.push(itemData);
-        log(3, `Queuing PF2e effect item creation: ${localizedName}`);
-      } else {
-        log(3, `PF2e effect item already exists: ${localizedName}`);
+  static async syncEffects(changes) {
+    const failedTokens = new Set();
+
+    // Tokens of the same linked actor share its effects, the last change wins
+    const actorEffects = new Map();
+    for (const { token, lightLevel } of changes) {
+      if (!token?.actor) continue;
+
+      try {
+        const desired = lightLevel === 'clear' ? { effects: [], items: [] } : await this.getEffectData(token, lightLevel);
+        actorEffects.set(token.actor, { token, desired });
+      } catch (error) {
+        log(1, `Error preparing ${lightLevel} effect for token ${token.id}:`, error);
+        failedTokens.add(token);
       }
     }
 
-    // Create any missing effect items
-    if (itemsToCreate.length > 0) {
-      await Item.createDocuments(itemsToCreate);
-      log(3, `Created ${itemsToCreate.length} PF2e effect items`);
-    }
-  }
+    const results = await Promise.all([...actorEffects].map(async ([actor, { token, desired }]) => [actor, await this._syncActorEffects(actor, token, desired)]));
 
-  /**
-   * Initialize effects for D&D 5e system
-   * Sets up any system-specific effect configurations
-   * @private
-   */
-  static async _initializeDnd5eEffects() {
-    log(3, 'Initializing D&D 5e lighting effects');
-
-    // Check for Chris's Premades integration
-    if (game.modules.get('chris-premades')?.active) {
-      const cprEnabled = game.settings.get('chris-premades', 'effectInterface');
-      if (cprEnabled) {
-        await this._integrateCPREffects();
-      }
+    // Every token of an actor whose write failed keeps its old effects
+    const failedActors = new Set(results.filter(([, synced]) => !synced).map(([actor]) => actor));
+    for (const { token } of changes) {
+      if (failedActors.has(token?.actor)) failedTokens.add(token);
     }
-  }
-
-  /**
-   * Clear lighting effects for PF2e system
-   * @param {Token} token - The token to clear effects from
-   * @private
-   */
-  static async _clearPF2eEffects(token) {
-    // Get localized effect names to search for
-    const effectNames = ['Dim', 'Dark'].map((type) => game.i18n.localize(`TOKENLIGHTCONDITION.Effects.${type}.Name`));
 
-    // Find matching items on the actor
-    const itemsToRemove = token.actor.items.filter((item) => effectNames.includes(item.name));
-
-    if (itemsToRemove.length > 0) {
-      const itemIds = itemsToRemove.map((item) => item.id);
-      await token.actor.deleteEmbeddedDocuments('Item', itemIds);
-      log(3, `Cleared ${itemsToRemove.length} PF2e effects from token: ${token.id}`);
-    }
+    return failedTokens;
   }
 
   /**
-   * Clear lighting effects for generic systems (including D&D 5e)
-   * @param {Token} token - The token to clear effects from
-   * @private
+   * Get the data of the documents a token should have for a light tier
+   * Tiers without an effect and scenes with effects disabled have none
+   * Every document is flagged with a signature of its content so unchanged effects can be recognized
+   * @param {Token} token - The token receiving the effect
+   * @param {string} effectType - The light tier of the effect, such as 'dark' or 'dim'
+   * @returns {Promise<{effects: Object[], items: Object[]}>} Active effect and item data
    */
-  static async _clearGenericEffects(token) {
-    // Find effects created by this module
-    const effectsToRemove = token.actor.effects.filter((effect) => effect.flags?.[MODULE.ID]?.type);
-
-    if (effectsToRemove.length > 0) {
-      const effectIds = effectsToRemove.map((effect) => effect.id);
-      await token.actor.deleteEmbeddedDocuments('ActiveEffect', effectIds);
-      log(3, `Cleared ${effectsToRemove.length} effects from token: ${token.id}`);
-    }
-  }
+  static async getEffectData(token, effectType) {
+    if (!EffectTemplates.isEnabled(effectType) || !this._isSceneEffectsEnabled(token)) return { effects: [], items: [] };
 
-  /**
-   * Add lighting effect for PF2e system
-   * @param {Token} token - The token to add the effect to
-   * @param {string} effectType - The type of effect ('dark' or 'dim')
-   * @private
-   */
-  static async _addPF2eEffect(token, effectType) {
-    const effectName = game.i18n.localize(`TOKENLIGHTCONDITION.Effects.${effectType.charAt(0).toUpperCase() + effectType.slice(1)}.Name`);
-
-    // Find the world-level effect item
-    const effectItem = game.items.find((item) => item.name === effectName);
-
-    if (effectItem) {
-      // Add the effect item to the actor
-      await token.actor.createEmbeddedDocuments('Item', [effectItem.toObject()]);
-      log(3, `Added PF2e ${effectType} effect to token: ${token.id}`);
-    } else {
-      log(2, `PF2e effect item not found: ${effectName}`);
+    const { effects = [], items = [] } = await SystemAdapters.current.getEffectData(token, effectType);
+    for (const data of [...effects, ...items]) {
+      foundry.utils.setProperty(data, `flags.${MODULE.ID}.signature`, this._getSignature(data));
     }
+
+    return { effects, items };
   }
 
   /**
-   * Add lighting effect for generic systems
-   * @param {Token} token - The token to add the effect to
-   * @param {string} effectType - The type of effect ('dark' or 'dim')
+   * Write the differences between an actor's lighting documents and the ones it should have
+   * @param {Actor} actor - The token's actor
+   * @param {Token} token - The token the change was queued for
+   * @param {{effects: Object[], items: Object[]}} desired - The documents the actor should have
+   * @returns {Promise<boolean>} True if every write succeeded
    * @private
    */
-  static async _addGenericEffect(token, effectType) {
-    log(3, `Creating ${effectType} effect for token: ${token.id}`);
+  static async _syncActorEffects(actor, token, desired) {
+    const current = this.getLightingDocuments(actor);
+    const batches = [
+      ['ActiveEffect', this._diffDocuments(current.effects, desired.effects, 'type')],
+      ['Item', this._diffDocuments(current.items, desired.items, 'effectType')]
+    ];
 
     try {
-      // Check for Chris's Premades integration first
-      if (game.modules.get('chris-premades')?.active) {
-        const cprEnabled = game.settings.get('chris-premades', 'effectInterface');
-        if (cprEnabled) {
-          const cprEffect = this._findCPREffect(effectType);
-          if (cprEffect) {
-            const effectData = cprEffect.toObject();
-            effectData.statuses = [effectType];
-
-            const effect = await ActiveEffect.create(effectData, {
-              keepId: true,
-              parent: token.actor
-            });
-
-            log(3, `Created CPR ${effectType} effect: ${effect?.id}`);
-            return effect;
-          }
+      for (const [documentName, { toDelete, toUpdate, toCreate }] of batches) {
+        if (toDelete.length) await actor.deleteEmbeddedDocuments(documentName, toDelete);
+
+        if (toUpdate.length) await actor.updateEmbeddedDocuments(documentName, toUpdate);
+        if (toCreate.length) {
+          const createData = documentName === 'ActiveEffect' ? toCreate.map((data) => this._withStatus(data)) : toCreate;
+          await actor.createEmbeddedDocuments(documentName, createData, { keepId: documentName === 'ActiveEffect' });
         }
-      }
 
-      // Create standard ActiveEffect
-      const effectData = EFFECT_DATA.getEffectData(effectType);
-      if (!effectData) {
-        log(1, `Invalid effect type: ${effectType}`);
-        return;
+        if (toDelete.length || toUpdate.length || toCreate.length) {
+          log(3, `Synced ${documentName} for token ${token.id}: ${toDelete.length} deleted, ${toUpdate.length} updated, ${toCreate.length} created`);
+        }
       }
-
-      const effect = await ActiveEffect.create(effectData, {
-        keepId: true,
-        parent: token.actor
-      });
-
-      log(3, `Created ${effectType} effect: ${effect?.id}`);
-      return effect;
+      return true;
     } catch (error) {
-      log(1, `Error creating ${effectType} effect:`, error);
-      throw error;
+      log(1, `Error syncing effects for token ${token.id}:`, error);
+      return false;
     }
   }
 
   /**
-   * Create effect data for PF2e system
-   * @param {string} effectType - The type of effect ('dark' or 'dim')
-   * @returns {Object} PF2e effect item data
+   * Make sure effect data built from a light tier's registered status effect carries the tier's status
+   * Other effects of the tier, such as Chris's Premades versions, are created as they are
+   * @param {Object} data - Active effect data
+   * @returns {Object} The effect data to create
    * @private
    */
-  static _createPF2eEffectData(effectType) {
-    const isDark = effectType === 'dark';
-
-    // PF2e-specific configurations
-    const ruleOption = isDark ? 'lighting:darkness' : 'lighting:dim-light';
-    const icon = isDark ? 'systems/pf2e/icons/default-icons/ancestry.svg' : 'systems/pf2e/icons/default-icons/character.svg';
-
-    const effectName = effectType.charAt(0).toUpperCase() + effectType.slice(1);
+  static _withStatus(data) {
+    const type = data.flags[MODULE.ID].type;
+    if (!LightStatusEffects.get(type) || data._id !== LightStatusEffects.getEffectId(type)) return data;
 
-    return {
-      name: game.i18n.localize(`TOKENLIGHTCONDITION.Effects.${effectName}.Name`),
-      type: 'effect',
-      effects: [],
-      system: {
-        description: {
-          gm: '',
-          value: game.i18n.localize(`TOKENLIGHTCONDITION.Effects.${effectName}.Description`)
-        },
-        rules: [
-          {
-            key: 'RollOption',
-            option: ruleOption
-          }
-        ],
-        slug: `tokenlightcondition-${effectType}`,
-        traits: {
-          otherTags: [],
-          value: []
-        },
-        level: { value: 0 },
-        duration: {
-          value: 1,
-          unit: 'unlimited',
-          expiry: 'turn-start',
-          sustained: false
-        },
-        tokenIcon: { show: true },
-        badge: null,
-        context: null,
-        unidentified: true
-      },
-      img: icon,
-      flags: {
-        [MODULE.ID]: {
-          effectType: effectType,
-          version: '2.0.0'
-        }
-      }
-    };
+    const statuses = new Set(data.statuses ?? []);
+    statuses.add(type);
+    return { ...data, statuses: [...statuses] };
   }
 
   /**
-   * Find Chris's Premades effect matching our effect type
-   * @param {string} effectType - The type of effect to find
-   * @returns {ActiveEffect|null} The matching CPR effect or null
+   * Compare lighting documents with the ones that should exist
+   * Documents are matched by the light tier or condition in their module flag, matches with a different signature are updated
+   * @param {Document[]} documents - The actor's current lighting documents
+   * @param {Object[]} desired - Data of the documents that should exist
+   * @param {string} flagKey - The module flag identifying a document, 'type' for effects and 'effectType' for items
+   * @returns {{toDelete: string[], toUpdate: Object[], toCreate: Object[]}} The writes needed
    * @private
    */
-  static _findCPREffect(effectType) {
-    const cprItem = game.items.find((item) => item.flags['chris-premades']?.effectInterface);
+  static _diffDocuments(documents, desired, flagKey) {
+    const unmatched = new Set(documents);
+    const toUpdate = [];
+    const toCreate = [];
+
+    for (const data of desired) {
+      const flags = data.flags[MODULE.ID];
+      const existing = [...unmatched].find((document) => document.flags[MODULE.ID][flagKey] === flags[flagKey]);
+      if (!existing) {
+        toCreate.push(data);
+        continue;
+      }
 
-    if (!cprItem) {
-      log(3, 'CPR Effect Interface item not found');
-      return null;
+      unmatched.delete(existing);
+      if (existing.flags[MODULE.ID].signature !== flags.signature) {
+        const { _id, _stats, ...updateData } = data;
+        toUpdate.push({ ...updateData, _id: existing.id });
+      }
     }
 
-    const matchingEffect = cprItem.effects.find((effect) => effect.flags?.[MODULE.ID]?.type === effectType);
-
-    return matchingEffect || null;
+    return { toDelete: [...unmatched].map((document) => document.id), toUpdate, toCreate };
   }
 
   /**
-   * Integrate with Chris's Premades Effect Interface
-   * Creates our lighting effects in the CPR system
+   * Get a short hash of a document's content, ignoring its ID, metadata, and this module's flags
+   * @param {Object} data - Active effect or item data
+   * @returns {string} The signature
    * @private
    */
-  static async _integrateCPREffects() {
-    log(3, "Integrating with Chris's Premades");
+  static _getSignature(data) {
+    const { _id, _stats, flags = {}, ...content } = data;
+    const { [MODULE.ID]: moduleFlags, ...otherFlags } = flags;
+    const json = JSON.stringify([content, otherFlags]);
+
+    let hash = 0;
+    for (let i = 0; i < json.length; i++) hash = (Math.imul(31, hash) + json.charCodeAt(i)) | 0;
+    return (hash >>> 0).toString(36);
+  }
 
+  /**
+   * Check whether lighting effects are enabled for a token's scene
+   * @param {Token} token - The token
+   * @returns {boolean} True if effects should be added
+   * @private
+   */
+  static _isSceneEffectsEnabled(token) {
     try {
-      const cprItem = game.items.find((item) => item.flags['chris-premades']?.effectInterface);
-
-      if (!cprItem) {
-        log(2, 'CPR Effect Interface not found, skipping integration');
-        return;
-      }
-
-      // Create effects for both dark and dim lighting
-      for (const effectType of ['dark', 'dim']) {
-        const existingEffect = cprItem.effects.find((effect) => effect.flags?.[MODULE.ID]?.type === effectType);
-
-        if (!existingEffect) {
-          const effectData = EFFECT_DATA.getEffectData(effectType);
-          if (effectData) {
-            await ActiveEffect.create(effectData, {
-              keepId: true,
-              parent: cprItem
-            });
-            log(3, `Created CPR integration effect: ${effectType}`);
-          }
-        }
-      }
-
-      log(3, 'CPR integration complete');
+      return SceneSettings.get(SETTINGS.ADD_EFFECTS, token.document?.parent);
     } catch (error) {
-      log(1, 'CPR integration failed:', error);
+      log(2, 'addEffects setting not available, defaulting to true');
+      return true;
     }
   }
 }
@@ -2,10 +2,14 @@
  * Core utility functions and helpers for Token Light Condition module
  */
 
-import { MODULE, SETTINGS, VALID_ACTOR_TYPES } from '../constants.mjs';
+import { ALIVE_CHECK, DEFAULT_ACTOR_TYPES, MODULE, SAMPLING, SETTINGS, TEMPLATES } from '../constants.mjs';
 import { log } from '../logger.mjs';
+import { SystemAdapters } from '../systems/adapters.mjs';
+import { ConfigSheets } from './config-sheets.mjs';
 import { EffectsManager } from './effects.mjs';
+import { LightTiers } from './light-tiers.mjs';
 import { LightingCalculator } from './lighting.mjs';
+import { SceneSettings } from './scene-settings.mjs';
 
 /**
  * Core utility class providing common functionality for the module
@@ -41,11 +45,13 @@ export class TokenHelpers {
 
   /**
    * Check if the Token Light Condition module is currently enabled
+   * A scene can disable the module even while it is enabled for the world
+   * @param {Scene} [scene=canvas.scene] - The scene to check
    * @returns {boolean} True if the module is actively processing tokens
    */
-  static isModuleEnabled() {
+  static isModuleEnabled(scene = canvas.scene) {
     try {
-      return game.settings.get(MODULE.ID, SETTINGS.ENABLE);
+      return game.settings.get(MODULE.ID, SETTINGS.ENABLE) && SceneSettings.get(SETTINGS.ENABLE, scene);
     } catch (error) {
       log(1, 'Error checking module state:', error);
       return false;
@@ -72,15 +78,46 @@ export class TokenHelpers {
         await LightingCalculator.refreshAllTokenLighting();
       } else {
         // When disabling, clear all lighting effects
-        const validTokens = canvas.tokens.placeables.filter((token) => this.isValidToken(token));
-        const clearPromises = validTokens.map((token) => EffectsManager.clearEffects(token));
-        await Promise.all(clearPromises);
+        await this.clearAllTokenEffects();
       }
     } catch (error) {
       log(1, 'Error toggling module:', error);
     }
   }
 
+  /**
+   * Clear lighting effects and stored light levels from all tokens on the current scene
+   * Cleared through the effect queue so the next refresh sees no stored level and applies the effects again
+   */
+  static async clearAllTokenEffects() {
+    const { effectQueue } = await import('../token-light-condition.mjs');
+    for (const token of canvas.tokens.placeables) {
+      if (token.actor && (this.getStoredLightLevel(token) || EffectsManager.hasLightingEffect(token))) effectQueue.add(token.id, 'clear');
+    }
+  }
+
+  /**
+   * Reapply the lighting effect of every valid token with a stored light level
+   * Used when the effect templates or light tiers change, the light levels themselves are unchanged
+   * Levels of tiers that no longer exist are left for the next lighting calculation
+   */
+  static async reapplyAllTokenEffects() {
+    await this.reapplyTokenEffects(canvas.tokens.placeables);
+  }
+
+  /**
+   * Reapply the lighting effect of several tokens with a stored light level
+   * Used when something the effects depend on changed for these tokens only, see reapplyAllTokenEffects
+   * @param {Iterable<Token>} tokens - The tokens
+   */
+  static async reapplyTokenEffects(tokens) {
+    const { effectQueue } = await import('../token-light-condition.mjs');
+    for (const token of tokens) {
+      const lightLevel = this.getStoredLightLevel(token);
+      if (LightTiers.get(lightLevel) && this.isValidToken(token)) effectQueue.add(token.id, lightLevel);
+    }
+  }
+
   /**
    * Initialize a token with the module flag and perform initial lighting calculation
    * @param {Token} token - The token to initialize
@@ -91,8 +128,8 @@ export class TokenHelpers {
     log(3, `Initializing token: ${token.id}`);
 
     try {
-      // Set the module flag on the actor to mark it as initialized
-      await token.actor.setFlag(MODULE.ID, 'initialized', true);
+      // Set the module flag on the token to mark it as initialized
+      await token.document.setFlag(MODULE.ID, 'initialized', true);
 
       // Perform initial lighting calculation
       LightingCalculator.calculateTokenLighting(token);
@@ -103,7 +140,7 @@ export class TokenHelpers {
 
   /**
    * Check if a token is valid for lighting effects processing
-   * Validates actor type, existence, and initialization status
+   * Validates actor type, existence, eligibility rules, and initialization status
    * @param {Token} token - The token to validate
    * @returns {boolean} True if the token is valid for processing
    */
@@ -113,14 +150,19 @@ export class TokenHelpers {
       return false;
     }
 
-    // Check if actor type is supported
-    const isValidType = VALID_ACTOR_TYPES.includes(token.actor.type);
+    // Check if actor type is tracked
+    const isValidType = this.getTrackedActorTypes().includes(token.actor.type);
     if (!isValidType) {
       return false;
     }
 
+    // Check the token against the exclusion rules
+    if (!this.isEligibleToken(token)) {
+      return false;
+    }
+
     // Check if token has been initialized by the module
-    const hasFlag = token.actor.getFlag(MODULE.ID, 'initialized');
+    const hasFlag = token.document.getFlag(MODULE.ID, 'initialized');
     if (!hasFlag) {
       // Initialize the token if it hasn't been processed yet
       this.initializeToken(token);
@@ -131,18 +173,116 @@ export class TokenHelpers {
   }
 
   /**
-   * Check if a token has valid HP (is alive)
+   * Check a token against the opt-in and opt-out rules
+   * Excluded tokens, hidden tokens, tokens with a skipped status and non-player tokens can be left untracked
+   * @param {Token} token - The token to check
+   * @returns {boolean} True if no rule excludes the token
+   */
+  static isEligibleToken(token) {
+    if (token.document.getFlag(MODULE.ID, 'exclude')) return false;
+    if (token.document.hidden && game.settings.get(MODULE.ID, SETTINGS.SKIP_HIDDEN)) return false;
+    if (!token.actor.hasPlayerOwner && game.settings.get(MODULE.ID, SETTINGS.PLAYER_OWNED_ONLY)) return false;
+
+    const skipStatuses = this.getSkipStatuses();
+    if (skipStatuses.some((status) => token.actor.statuses?.has(status))) return false;
+
+    return true;
+  }
+
+  /**
+   * Get the actor types tracked by the module
+   * @returns {string[]} Tracked actor types
+   */
+  static getTrackedActorTypes() {
+    return this.parseList(game.settings.get(MODULE.ID, SETTINGS.TRACKED_ACTOR_TYPES));
+  }
+
+  /**
+   * Get the status IDs that exclude a token from tracking
+   * @returns {string[]} Skipped status IDs
+   */
+  static getSkipStatuses() {
+    return this.parseList(game.settings.get(MODULE.ID, SETTINGS.SKIP_STATUSES));
+  }
+
+  /**
+   * Get the default tracked actor types for the current game system
+   * Unknown systems track every actor type they define
+   * @returns {string[]} Default actor types
+   */
+  static getDefaultActorTypes() {
+    return DEFAULT_ACTOR_TYPES[game.system.id] ?? (game.documentTypes?.Actor ?? []).filter((type) => type !== CONST.BASE_DOCUMENT_TYPE);
+  }
+
+  /**
+   * Parse a comma-separated setting value into a list
+   * @param {string} value - The setting value
+   * @returns {string[]} Trimmed, non-empty entries
+   */
+  static parseList(value) {
+    return String(value ?? '')
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Check if a token is alive
    * Dead tokens should not have lighting effects applied
    * @param {Token} token - The token to check
-   * @returns {boolean} True if the token has valid HP
+   * @returns {boolean} True if the token is alive
    */
-  static hasValidHitPoints(token) {
-    if (!token?.actor?.system?.attributes?.hp) {
+  static isTokenAlive(token) {
+    const actor = token?.actor;
+    if (!actor) {
+      return false;
+    }
+
+    // Check the defeated status first, it applies to every alive check mode
+    if (game.settings.get(MODULE.ID, SETTINGS.DEFEATED_IS_DEAD) && actor.statuses?.has(this.getDefeatedStatus())) {
       return false;
     }
 
-    const currentHP = token.actor.system.attributes.hp.value;
-    return currentHP > 0;
+    switch (game.settings.get(MODULE.ID, SETTINGS.ALIVE_CHECK)) {
+      case ALIVE_CHECK.MODES.IGNORE:
+        return true;
+      case ALIVE_CHECK.MODES.PATH:
+        return this.hasHitPointsAtPath(actor, game.settings.get(MODULE.ID, SETTINGS.HP_PATH) || ALIVE_CHECK.DEFAULT_HP_PATH);
+      default:
+        return SystemAdapters.current.isAlive(actor);
+    }
+  }
+
+  /**
+   * Get the status ID Foundry uses for defeated tokens
+   * @returns {string} The defeated status ID
+   */
+  static getDefeatedStatus() {
+    return CONFIG.specialStatusEffects?.DEFEATED ?? 'dead';
+  }
+
+  /**
+   * Check whether a hit point object has hit points remaining
+   * Actors without hit points, or with a maximum of zero such as some hazards, are treated as alive
+   * @param {Object} [hp] - Hit point data with value and max
+   * @returns {boolean} True if the actor is alive
+   */
+  static hasHitPoints(hp) {
+    if (!hp || !Number.isFinite(hp.value) || hp.max === 0) return true;
+    return hp.value > 0;
+  }
+
+  /**
+   * Check whether the hit points at an actor data path are above zero
+   * Actors without a numeric value at the path are treated as alive
+   * @param {Actor} actor - The actor to check
+   * @param {string} path - The data path, e.g. system.attributes.hp.value
+   * @returns {boolean} True if the actor is alive
+   */
+  static hasHitPointsAtPath(actor, path) {
+    const value = Number(foundry.utils.getProperty(actor, path));
+    if (!Number.isFinite(value)) return true;
+    return value > 0;
   }
 
   /**
@@ -193,23 +333,178 @@ export class TokenHelpers {
     return tokenWithHudOpen;
   }
 
+  /**
+   * Get the stored light level of a token
+   * The level is kept on the token document so tokens sharing an actor each have their own
+   * @param {Token} token - The token to read
+   * @returns {string|undefined} The stored light level ('bright', 'dim', or 'dark') or undefined if never calculated
+   */
+  static getStoredLightLevel(token) {
+    return token?.document?.getFlag(MODULE.ID, 'lightLevel');
+  }
+
+  /**
+   * Resolve the point used for lighting calculations of a token
+   * Position overrides use document coordinates (top-left corner) like TokenDocument#x and TokenDocument#y
+   * @param {Token} token - The token
+   * @param {Object} [position={}] - Optional position overrides
+   * @param {number} [position.x] - Top-left x coordinate
+   * @param {number} [position.y] - Top-left y coordinate
+   * @param {number} [position.elevation] - Elevation in scene distance units
+   * @returns {{x: number, y: number, elevation: number, bounds: PIXI.Rectangle}} Center point, elevation and bounds
+   */
+  static resolvePosition(token, position = {}) {
+    const elevation = position.elevation ?? token.document.elevation ?? 0;
+
+    // Use the placed token when no coordinates are overridden
+    if (position.x === undefined && position.y === undefined) {
+      return { x: token.center.x, y: token.center.y, elevation, bounds: token.bounds };
+    }
+
+    const x = position.x ?? token.document.x;
+    const y = position.y ?? token.document.y;
+
+    return {
+      x: x + token.w / 2,
+      y: y + token.h / 2,
+      elevation,
+      bounds: new PIXI.Rectangle(x, y, token.w, token.h)
+    };
+  }
+
+  /**
+   * Get the sampling mode and coverage rule for a token
+   * Token flags override the scene and world settings when set
+   * @param {Token} token - The token
+   * @returns {{mode: string, rule: string}} The sampling mode and coverage rule
+   */
+  static getSamplingConfig(token) {
+    const mode = token.document.getFlag(MODULE.ID, 'samplingMode') || SceneSettings.get(SETTINGS.SAMPLING_MODE, token.document.parent);
+    const rule = token.document.getFlag(MODULE.ID, 'coverageRule') || SceneSettings.get(SETTINGS.COVERAGE_RULE, token.document.parent);
+    return { mode, rule };
+  }
+
+  /**
+   * Get the points of a token where lighting should be sampled
+   * The resolved center point is always the first sample
+   * @param {Token} token - The token
+   * @param {Object} point - The resolved token position from resolvePosition
+   * @param {string} mode - The sampling mode from SAMPLING.MODES
+   * @returns {Object[]} Sample points {x, y, elevation, bounds}
+   */
+  static getSamplePoints(token, point, mode) {
+    const { bounds, elevation } = point;
+    const samples = [point];
+
+    switch (mode) {
+      case SAMPLING.MODES.CORNERS: {
+        const inset = Math.min(bounds.width, bounds.height) * SAMPLING.CORNER_INSET;
+        const left = bounds.x + inset;
+        const right = bounds.x + bounds.width - inset;
+        const top = bounds.y + inset;
+        const bottom = bounds.y + bounds.height - inset;
+        samples.push({ x: left, y: top, elevation, bounds });
+        samples.push({ x: right, y: top, elevation, bounds });
+        samples.push({ x: left, y: bottom, elevation, bounds });
+        samples.push({ x: right, y: bottom, elevation, bounds });
+        break;
+      }
+
+      case SAMPLING.MODES.GRID: {
+        // One sample per grid space the token covers, skipped for single-space tokens
+        const columns = Math.max(1, Math.round(token.document.width));
+        const rows = Math.max(1, Math.round(token.document.height));
+        if (columns * rows === 1) break;
+
+        const cellWidth = bounds.width / columns;
+        const cellHeight = bounds.height / rows;
+        for (let column = 0; column < columns; column++) {
+          for (let row = 0; row < rows; row++) {
+            samples.push({ x: bounds.x + (column + 0.5) * cellWidth, y: bounds.y + (row + 0.5) * cellHeight, elevation, bounds });
+          }
+        }
+        break;
+      }
+    }
+
+    log(3, `Sampling ${samples.length} points for token ${token.id} (${mode})`);
+    return samples;
+  }
+
+  /**
+   * Add the module tab to a token configuration sheet (GM only)
+   * @param {TokenConfig} app - The token configuration sheet
+   * @param {HTMLElement|jQuery} html - The rendered sheet HTML
+   */
+  static async addTokenConfigTab(app, html) {
+    if (!game.user.isGM) return;
+
+    const tokenDocument = app.document ?? app.object;
+    if (!tokenDocument) return;
+
+    await ConfigSheets.injectTab(app, html, {
+      label: 'TOKENLIGHTCONDITION.TokenConfig.Tab',
+      icon: 'fas fa-eye-low-vision',
+      template: TEMPLATES.TOKEN_CONFIG,
+      data: {
+        exclude: tokenDocument.getFlag(MODULE.ID, 'exclude') ?? false,
+        samplingMode: tokenDocument.getFlag(MODULE.ID, 'samplingMode') ?? '',
+        coverageRule: tokenDocument.getFlag(MODULE.ID, 'coverageRule') ?? '',
+        samplingModes: {
+          '': 'TOKENLIGHTCONDITION.TokenConfig.UseWorldSetting',
+          ...this.getSamplingModeChoices()
+        },
+        coverageRules: {
+          '': 'TOKENLIGHTCONDITION.TokenConfig.UseWorldSetting',
+          ...this.getCoverageRuleChoices()
+        }
+      }
+    });
+  }
+
+  /**
+   * Get localization keys for sampling mode choices
+   * @returns {Object<string, string>} Sampling mode choices
+   */
+  static getSamplingModeChoices() {
+    return {
+      [SAMPLING.MODES.CENTER]: 'TOKENLIGHTCONDITION.Settings.SamplingMode.Choices.Center',
+      [SAMPLING.MODES.GRID]: 'TOKENLIGHTCONDITION.Settings.SamplingMode.Choices.Grid',
+      [SAMPLING.MODES.CORNERS]: 'TOKENLIGHTCONDITION.Settings.SamplingMode.Choices.Corners'
+    };
+  }
+
+  /**
+   * Get localization keys for coverage rule choices
+   * @returns {Object<string, string>} Coverage rule choices
+   */
+  static getCoverageRuleChoices() {
+    return {
+      [SAMPLING.RULES.BRIGHTEST]: 'TOKENLIGHTCONDITION.Settings.CoverageRule.Choices.Brightest',
+      [SAMPLING.RULES.DARKEST]: 'TOKENLIGHTCONDITION.Settings.CoverageRule.Choices.Darkest',
+      [SAMPLING.RULES.MAJORITY]: 'TOKENLIGHTCONDITION.Settings.CoverageRule.Choices.Majority',
+      [SAMPLING.RULES.CENTER]: 'TOKENLIGHTCONDITION.Settings.CoverageRule.Choices.Center'
+    };
+  }
+
   /**
    * Calculate 3D distance between a token and light source accounting for elevation
    * Uses grid size and distance settings to provide accurate measurements
    * @param {Token} token - The token
    * @param {LightSource|Token} lightSource - The light source object
+   * @param {Object} [point] - Point to measure from {x, y, elevation}, defaults to the token center
    * @returns {number} The calculated 3D distance
    */
-  static calculate3DDistance(token, lightSource) {
+  static calculate3DDistance(token, lightSource, point = this.resolvePosition(token)) {
     // Get grid configuration for distance calculations
     const gridSize = canvas.grid.size;
     const gridDistance = canvas.scene.grid.distance;
 
     // Calculate token position in 3D space
     const tokenPosition = {
-      x: token.center.x,
-      y: token.center.y,
-      z: (token.document.elevation / gridDistance) * gridSize
+      x: point.x,
+      y: point.y,
+      z: (point.elevation / gridDistance) * gridSize
     };
 
     // Calculate light source position in 3D space
@@ -235,12 +530,13 @@ export class TokenHelpers {
    * Test for wall collision between two points using Foundry's collision detection
    * @param {Token} sourceToken - The source token
    * @param {Object} targetObject - The target object with center coordinates
+   * @param {Object} [origin] - Point to test from {x, y}, defaults to the token center
    * @returns {boolean} True if there is a wall collision blocking line of sight
    */
-  static hasWallCollision(sourceToken, targetObject) {
+  static hasWallCollision(sourceToken, targetObject, origin = sourceToken.center) {
     try {
       // Use Foundry's built-in collision detection system
-      const testResult = CONFIG.Canvas.polygonBackends.sight.testCollision(sourceToken.center, targetObject.center, { type: 'sight', mode: 'all' });
+      const testResult = CONFIG.Canvas.polygonBackends.sight.testCollision({ x: origin.x, y: origin.y }, targetObject.center, { type: 'sight', mode: 'all' });
 
       // If any collisions are detected, line of sight is blocked
       const hasCollision = testResult.length > 0;
@@ -261,10 +557,11 @@ export class TokenHelpers {
    * Supports rectangles, ellipses, and polygon shapes with rotation
    * @param {Drawing} drawingShape - The drawing document/object
    * @param {Token} token - The token to test
+   * @param {Object} [point] - Point to test {x, y}, defaults to the token center
    * @returns {boolean} True if the token center is within the drawing
    */
-  static isTokenWithinDrawing(drawingShape, token) {
-    let tokenPosition = { ...token.center };
+  static isTokenWithinDrawing(drawingShape, token, point = token.center) {
+    let tokenPosition = { x: point.x, y: point.y };
 
     // Extract drawing properties
     const {
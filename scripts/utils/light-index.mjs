@@ -0,0 +1,125 @@
+/**
+ * Spatial light index for Token Light Condition module
+ * Keeps the lit areas of the current scene in a quadtree so calculations only visit nearby lights
+ */
+
+import { log } from '../logger.mjs';
+
+/**
+ * Indexes the bounds of ambient lights and light-emitting tokens on the current scene
+ * Bounds are squares around the light's widest radius, built from document data so they are known before the canvas refreshes
+ */
+export class LightIndex {
+  /** @type {Quadtree|null} Lit areas of the current scene, targets are light and token documents */
+  static _quadtree = null;
+
+  /** @type {Map<Document, PIXI.Rectangle>} Indexed bounds by light or token document */
+  static _bounds = new Map();
+
+  /**
+   * Index the lights of the current scene
+   * Called when the canvas is ready
+   */
+  static build() {
+    const Quadtree = foundry.canvas?.geometry?.Quadtree ?? globalThis.Quadtree;
+    this._quadtree = new Quadtree(canvas.dimensions.rect);
+    this._bounds.clear();
+
+    for (const document of [...canvas.scene.lights, ...canvas.scene.tokens]) this._insert(document);
+
+    log(3, `Indexed ${this._bounds.size} lights`);
+  }
+
+  /**
+   * Update the bounds of a light or token after it was created, changed, or deleted
+   * @param {AmbientLightDocument|TokenDocument} document - The changed document
+   * @param {Object} [options={}] - Update options
+   * @param {boolean} [options.deleted=false] - Whether the document was deleted
+   * @returns {PIXI.Rectangle[]} The areas lit before and after the change, empty when it emits no light
+   */
+  static update(document, { deleted = false } = {}) {
+    if (!this._quadtree) return [];
+
+    const previousBounds = this._bounds.get(document);
+    if (previousBounds) {
+      this._quadtree.remove(document);
+      this._bounds.delete(document);
+    }
+
+    const bounds = deleted ? null : this._insert(document);
+    return [previousBounds, bounds].filter(Boolean);
+  }
+
+  /**
+   * Get the light sources whose area contains a point
+   * Falls back to every light and token before the index is built
+   * @param {Object} point - The point {x, y}
+   * @returns {Array<AmbientLight|Token>} Ambient light and token placeables
+   */
+  static getLightSources(point) {
+    if (!this._quadtree) return [...canvas.lighting.placeables, ...canvas.tokens.placeables];
+
+    const rect = new PIXI.Rectangle(point.x, point.y, 0, 0).pad(1);
+    const documents = this._quadtree.getObjects(rect, { collisionTest: (node) => node.r.contains(point.x, point.y) });
+    return [...documents].map((document) => document.object).filter(Boolean);
+  }
+
+  /**
+   * Get the lit areas that intersect an area, such as the bounds of a changed wall
+   * @param {PIXI.Rectangle} rect - The area
+   * @returns {PIXI.Rectangle[]} Bounds of the lights reaching into the area
+   */
+  static getLitAreas(rect) {
+    if (!this._quadtree) return [];
+    return [...this._quadtree.getObjects(rect)].map((document) => this._bounds.get(document));
+  }
+
+  /**
+   * Get the tokens of the current scene that overlap any of several areas
+   * @param {PIXI.Rectangle[]} areas - The areas
+   * @returns {Set<Token>} The overlapping tokens
+   */
+  static getTokens(areas) {
+    const tokens = new Set();
+    for (const area of areas) {
+      const overlapping = canvas.tokens.quadtree?.getObjects(area) ?? canvas.tokens.placeables.filter((token) => token.bounds.intersects(area));
+      for (const token of overlapping) tokens.add(token);
+    }
+    return tokens;
+  }
+
+  /**
+   * Index the bounds of a document when it emits light
+   * @param {AmbientLightDocument|TokenDocument} document - The light or token document
+   * @returns {PIXI.Rectangle|null} The indexed bounds
+   * @private
+   */
+  static _insert(document) {
+    const bounds = this._getBounds(document);
+    if (!bounds) return null;
+
+    this._quadtree.insert({ r: bounds, t: document });
+    this._bounds.set(document, bounds);
+    return bounds;
+  }
+
+  /**
+   * Get the area a light or token's light can reach
+   * @param {AmbientLightDocument|TokenDocument} document - The light or token document
+   * @returns {PIXI.Rectangle|null} The bounds, null when the document has no light radius
+   * @private
+   */
+  static _getBounds(document) {
+    const isToken = document.documentName === 'Token';
+    const lightData = isToken ? document.light : document.config;
+    const radius = Math.max(lightData?.dim ?? 0, lightData?.bright ?? 0) * canvas.dimensions.distancePixels;
+    if (!(radius > 0)) return null;
+
+    // Token lights are centered on the token, ambient lights are positioned by their center
+    const gridSize = canvas.dimensions.size;
+    const x = isToken ? document.x + (document.width * gridSize) / 2 : document.x;
+    const y = isToken ? document.y + (document.height * gridSize) / 2 : document.y;
+
+    return new PIXI.Rectangle(x - radius, y - radius, radius * 2, radius * 2);
+  }
+}
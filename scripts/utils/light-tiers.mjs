@@ -0,0 +1,192 @@
+/**
+ * Light tiers for Token Light Condition module
+ * Resolves the configured list of light levels from darkest to brightest
+ */
+
+import { LIGHT_TIERS, MODULE, SETTINGS } from '../constants.mjs';
+import { log } from '../logger.mjs';
+
+/**
+ * Provides the configured light tiers
+ * A tier's index in the list is its numeric light level, so higher is brighter
+ * A tier has {id, label, icon, radius, scale, effect}
+ */
+export class LightTiers {
+  /** @type {Object[]|null} Cached tiers, cleared when the setting changes */
+  static _tiers = null;
+
+  /**
+   * Get all tiers from darkest to brightest
+   * Invalid saved tiers fall back to the defaults
+   * @returns {Object[]} The tiers
+   */
+  static getAll() {
+    if (!this._tiers) this._tiers = this._load();
+    return this._tiers;
+  }
+
+  /**
+   * Clear the cached tiers so they are read from the setting again
+   */
+  static invalidate() {
+    this._tiers = null;
+  }
+
+  /**
+   * Get a tier by ID
+   * @param {string} id - The tier ID
+   * @returns {Object|undefined} The tier
+   */
+  static get(id) {
+    return this.getAll().find((tier) => tier.id === id);
+  }
+
+  /**
+   * Get the numeric light level of a tier
+   * @param {string} id - The tier ID
+   * @returns {number} The tier's index, -1 for an unknown tier
+   */
+  static getIndex(id) {
+    return this.getAll().findIndex((tier) => tier.id === id);
+  }
+
+  /**
+   * Get the tier ID of a numeric light level
+   * @param {number} index - The numeric light level
+   * @returns {string|undefined} The tier ID
+   */
+  static getId(index) {
+    return this.getAll()[index]?.id;
+  }
+
+  /** @type {number} Numeric light level of the core dark tier */
+  static get DARK() {
+    return this.getIndex(LIGHT_TIERS.CORE.DARK);
+  }
+
+  /** @type {number} Numeric light level of the core dim tier */
+  static get DIM() {
+    return this.getIndex(LIGHT_TIERS.CORE.DIM);
+  }
+
+  /** @type {number} Numeric light level of the core bright tier */
+  static get BRIGHT() {
+    return this.getIndex(LIGHT_TIERS.CORE.BRIGHT);
+  }
+
+  /**
+   * Get the core tier that a tier counts as for lighting rules
+   * Tiers up to dark count as dark, tiers below bright as dim, and the rest as bright
+   * @param {string} id - The tier ID
+   * @returns {string} The core tier ID from LIGHT_TIERS.CORE
+   */
+  static getCoreTier(id) {
+    const index = this.getIndex(id);
+    if (index < 0) return id;
+    if (index <= this.DARK) return LIGHT_TIERS.CORE.DARK;
+    if (index < this.BRIGHT) return LIGHT_TIERS.CORE.DIM;
+    return LIGHT_TIERS.CORE.BRIGHT;
+  }
+
+  /**
+   * Get the localized label of a tier
+   * @param {string} id - The tier ID
+   * @returns {string} The label, or the ID for an unknown tier
+   */
+  static getLabel(id) {
+    const tier = this.get(id);
+    return tier ? game.i18n.localize(tier.label) : id;
+  }
+
+  /**
+   * Get the short label of a tier, such as DRK
+   * Tiers without a translated abbreviation use the first letters of their label
+   * @param {string} id - The tier ID
+   * @returns {string} The abbreviation
+   */
+  static getAbbreviation(id) {
+    const key = `TOKENLIGHTCONDITION.LightTiers.Abbreviations.${id}`;
+    if (game.i18n.has(key)) return game.i18n.localize(key);
+    return this.getLabel(id).slice(0, 3).toUpperCase();
+  }
+
+  /**
+   * Get the icon class of a tier
+   * @param {string} id - The tier ID
+   * @returns {string} Font Awesome icon class
+   */
+  static getIcon(id) {
+    return this.get(id)?.icon || LIGHT_TIERS.DEFAULT_ICON;
+  }
+
+  /**
+   * Get tier choices for select fields, labels are localized by the field
+   * @returns {Object<string, string>} Tier labels keyed by tier ID
+   */
+  static getChoices() {
+    return Object.fromEntries(this.getAll().map((tier) => [tier.id, tier.label]));
+  }
+
+  /**
+   * Get the tiers reached by light sources, brightest first
+   * @returns {Object[]} Tiers with their numeric light level as index
+   */
+  static getLitTiers() {
+    return this.getAll()
+      .map((tier, index) => ({ ...tier, index }))
+      .filter((tier) => tier.radius !== LIGHT_TIERS.RADIUS.NONE)
+      .reverse();
+  }
+
+  /**
+   * Validate a list of tiers
+   * @param {Object[]} tiers - The tiers from darkest to brightest
+   * @returns {string[]} Localization keys of the problems found, empty when valid
+   */
+  static validate(tiers) {
+    const errors = new Set();
+    const ids = tiers.map((tier) => tier.id);
+
+    if (ids.some((id) => !id || !/^[a-z0-9-]+$/.test(id))) errors.add('TOKENLIGHTCONDITION.LightTiers.Errors.InvalidId');
+    if (new Set(ids).size !== ids.length) errors.add('TOKENLIGHTCONDITION.LightTiers.Errors.DuplicateId');
+
+    const coreIndexes = Object.values(LIGHT_TIERS.CORE).map((id) => ids.indexOf(id));
+    if (coreIndexes.some((index, i) => index < 0 || (i > 0 && index < coreIndexes[i - 1]))) {
+      errors.add('TOKENLIGHTCONDITION.LightTiers.Errors.CoreTiers');
+    }
+
+    for (const tier of tiers) {
+      if (!Object.values(LIGHT_TIERS.RADIUS).includes(tier.radius)) errors.add('TOKENLIGHTCONDITION.LightTiers.Errors.InvalidRadius');
+      if (!(tier.scale > 0 && tier.scale <= 1)) errors.add('TOKENLIGHTCONDITION.LightTiers.Errors.InvalidScale');
+    }
+
+    return [...errors];
+  }
+
+  /**
+   * Save tiers, they must be valid
+   * @param {Object[]} tiers - The tiers from darkest to brightest
+   */
+  static async save(tiers) {
+    await game.settings.set(MODULE.ID, SETTINGS.LIGHT_TIERS, tiers);
+    log(3, `Saved ${tiers.length} light tiers`);
+  }
+
+  /**
+   * Read the tiers from the world setting
+   * @returns {Object[]} The tiers
+   * @private
+   */
+  static _load() {
+    const tiers = game.settings.get(MODULE.ID, SETTINGS.LIGHT_TIERS);
+    if (!Array.isArray(tiers) || !tiers.length) return LIGHT_TIERS.DEFAULTS;
+
+    const errors = this.validate(tiers);
+    if (errors.length) {
+      log(1, 'Invalid light tiers, using the defaults:', errors);
+      return LIGHT_TIERS.DEFAULTS;
+    }
+
+    return tiers;
+  }
+}
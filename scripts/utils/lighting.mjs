@@ -3,34 +3,57 @@
  * Handles complex lighting scenarios including walls, elevation, and various light sources
  */
 
-import { LIGHTING, MODULE, SETTINGS } from '../constants.mjs';
+import { LightingBreakdown } from '../apps/lighting-breakdown.mjs';
+import { LIGHT_TIERS, MODULE, SAMPLING, SETTINGS } from '../constants.mjs';
 import { log } from '../logger.mjs';
 import { TokenHelpers } from './helpers.mjs';
+import { LightIndex } from './light-index.mjs';
+import { PerceptionCalculator } from './perception.mjs';
+import { SceneSettings } from './scene-settings.mjs';
+import { LightTiers } from './light-tiers.mjs';
+import { LightOverrides } from './overrides.mjs';
+import { LightingZones } from './zones.mjs';
 
 /**
  * Core lighting calculation engine for determining token light conditions
  * Processes ambient lights, token lights, global illumination, and environmental factors
  */
 export class LightingCalculator {
+  /** @type {Map<string, string>} Calculated light levels by token ID, kept until an event invalidates them */
+  static _levelCache = new Map();
+
   /**
    * Calculate lighting condition for a single token
    * This is the main entry point for lighting calculations
    * @param {Token} token - The token to analyze
+   * @param {Object} [options={}] - Calculation options
+   * @param {boolean} [options.refresh=false] - Discard the token's cached light level first
    */
-  static async calculateTokenLighting(token) {
+  static async calculateTokenLighting(token, { refresh = false } = {}) {
+    if (refresh) this.invalidate(token);
     if (!game.user.isGM) return;
-    if (!TokenHelpers.isValidToken(token)) return;
+    if (!TokenHelpers.isValidToken(token)) {
+      // Clear effects left on tokens that are no longer tracked
+      if (TokenHelpers.getStoredLightLevel(token)) {
+        log(3, `Token ${token.id} is no longer tracked, clearing effects`);
+        const { effectQueue } = await import('../token-light-condition.mjs');
+        effectQueue.add(token.id, 'clear');
+      }
+      return;
+    }
     if (!TokenHelpers.canProcessToken(token.id)) return;
 
     log(3, `Calculating lighting for token: ${token.id}`);
 
     try {
       // Check if token is alive
-      if (TokenHelpers.hasValidHitPoints(token)) {
-        const lightLevel = await this.determineLightLevel(token);
+      if (TokenHelpers.isTokenAlive(token)) {
+        // A GM override replaces the calculated light level while it lasts
+        const override = LightOverrides.get(token);
+        const lightLevel = override?.level ?? (await this._getCachedLightLevel(token));
 
         // Get current light level from token flag
-        const currentLightLevel = token.actor.getFlag(MODULE.ID, 'lightLevel');
+        const currentLightLevel = TokenHelpers.getStoredLightLevel(token);
 
         // Queue effect update if light level changed
         if (currentLightLevel !== lightLevel) {
@@ -41,7 +64,7 @@ export class LightingCalculator {
           effectQueue.add(token.id, lightLevel);
         }
       } else {
-        log(3, `Token ${token.id} has no valid HP, clearing effects`);
+        log(3, `Token ${token.id} is not alive, clearing effects`);
 
         // Import effect queue dynamically
         const { effectQueue } = await import('../token-light-condition.mjs');
@@ -53,51 +76,76 @@ export class LightingCalculator {
   }
 
   /**
-   * Refresh lighting calculations for all valid tokens on the scene
+   * Refresh lighting calculations for all tokens on the scene
+   * Tokens that are no longer tracked have their effects cleared
    */
   static async refreshAllTokenLighting() {
     log(3, 'Refreshing lighting for all tokens');
+    this.invalidateAll();
 
-    const validTokens = canvas.tokens.placeables.filter((token) => TokenHelpers.isValidToken(token));
+    const actorTokens = canvas.tokens.placeables.filter((token) => token.actor);
 
-    const promises = validTokens.map((token) => this.calculateTokenLighting(token));
+    const promises = actorTokens.map((token) => this.calculateTokenLighting(token));
     await Promise.all(promises);
 
-    log(3, `Processed ${validTokens.length} tokens for lighting updates`);
+    log(3, `Processed ${actorTokens.length} tokens for lighting updates`);
+  }
+
+  /**
+   * Discard the cached light level of a token
+   * Called when the token moves or the lights, walls, or zones around it change
+   * @param {Token|TokenDocument} token - The token or its document
+   */
+  static invalidate(token) {
+    this._levelCache.delete(token.id);
+  }
+
+  /**
+   * Discard every cached light level, such as when scene lighting or settings change
+   */
+  static invalidateAll() {
+    this._levelCache.clear();
+  }
+
+  /**
+   * Get the calculated light level of a token, calculating it when it is not cached
+   * @param {Token} token - The token
+   * @returns {Promise<string>} The light tier ID
+   * @private
+   */
+  static async _getCachedLightLevel(token) {
+    if (!this._levelCache.has(token.id)) this._levelCache.set(token.id, await this.determineLightLevel(token));
+    return this._levelCache.get(token.id);
   }
 
   /**
    * Determine the lighting level for a specific token
+   * Samples one or more points of the token and combines them with its coverage rule
    * @param {Token} token - The token to analyze
+   * @param {Object} [position={}] - Optional position overrides {x, y, elevation}, see TokenHelpers.resolvePosition
+   * @param {Object} [breakdown] - Filled with the details of the calculation when given, see explainLightLevel
    * @returns {Promise<string>} The lighting condition ('bright', 'dim', or 'dark')
    */
-  static async determineLightLevel(token) {
+  static async determineLightLevel(token, position = {}, breakdown = null) {
     log(3, `Analyzing lighting conditions for token: ${token.id}`);
 
     try {
-      let lightLevel = LIGHTING.LEVELS.DARK; // Start with darkest condition
-      let globalIlluminationActive = false;
-
-      // Check global illumination first
-      const globalConfig = game.settings.get(MODULE.ID, SETTINGS.GLOBAL_ILLUMINATION);
-
-      if (globalConfig) {
-        globalIlluminationActive = this._checkGlobalIllumination(token);
-        if (globalIlluminationActive) {
-          lightLevel = LIGHTING.LEVELS.BRIGHT;
-          log(3, 'Global illumination provides bright light');
-        }
+      const point = TokenHelpers.resolvePosition(token, position);
+      const { mode, rule } = TokenHelpers.getSamplingConfig(token);
+      if (breakdown) Object.assign(breakdown, { mode, rule, points: [] });
+
+      // Calculate each sample point separately
+      const sampleLevels = [];
+      for (const samplePoint of TokenHelpers.getSamplePoints(token, point, mode)) {
+        const pointBreakdown = breakdown ? { x: samplePoint.x, y: samplePoint.y, lights: [], zones: [] } : null;
+        breakdown?.points.push(pointBreakdown);
+        sampleLevels.push(await this._determinePointLightLevel(token, samplePoint, pointBreakdown));
       }
 
-      // Process individual light sources
-      const shouldCheckIndividualLights = !globalIlluminationActive || game.settings.get(MODULE.ID, SETTINGS.NEGATIVE_LIGHTS);
-
-      if (shouldCheckIndividualLights) {
-        lightLevel = await this._processLightSources(token, lightLevel, globalIlluminationActive);
-      }
+      const lightLevel = this._combineSampleLevels(sampleLevels, rule);
 
       // Convert numeric level to text
-      const lightLevelText = this._convertLightLevelToText(lightLevel);
+      const lightLevelText = this.convertLightLevelToText(lightLevel);
 
       log(3, `Final light level for token ${token.id}: ${lightLevelText}`);
       return lightLevelText;
@@ -107,6 +155,18 @@ export class LightingCalculator {
     }
   }
 
+  /**
+   * Calculate the light level of a token and explain how it was reached
+   * @param {Token} token - The token to analyze
+   * @returns {Promise<Object>} The breakdown {level, mode, rule, points}, each point has the global illumination,
+   *   restricting tile, baseline, lights, zones, and level that applied at it
+   */
+  static async explainLightLevel(token) {
+    const breakdown = {};
+    breakdown.level = await this.determineLightLevel(token, {}, breakdown);
+    return breakdown;
+  }
+
   /**
    * Display lighting information in the token HUD for GMs
    * @param {Token} token - The selected token
@@ -115,12 +175,24 @@ export class LightingCalculator {
    */
   static async showGMLightingHUD(token, tokenHUD, html) {
     if (!TokenHelpers.isValidToken(token)) return;
-    if (!TokenHelpers.hasValidHitPoints(token)) return;
+    if (!TokenHelpers.isTokenAlive(token)) return;
 
-    const lightCondition = token.actor.getFlag(MODULE.ID, 'lightLevel') || 'bright';
-    const iconClass = LIGHTING.ICONS[lightCondition];
+    const lightCondition = TokenHelpers.getStoredLightLevel(token) || 'bright';
+    const iconClass = LightTiers.getIcon(lightCondition);
+    const override = LightOverrides.get(token);
 
-    this._createLightingIndicator(html, iconClass, lightCondition);
+    const lightButton = this._createLightingIndicator(html, iconClass, lightCondition, {
+      locked: Boolean(override),
+      tooltip: override ? LightOverrides.describe(override) : undefined
+    });
+
+    // Clicking the indicator explains the light level, right-clicking unlocks it
+    lightButton.disabled = false;
+    lightButton.addEventListener('click', (event) => LightingBreakdown.open(token, event));
+    lightButton.addEventListener('contextmenu', (event) => {
+      event.preventDefault();
+      LightOverrides.clear(token);
+    });
   }
 
   /**
@@ -131,13 +203,31 @@ export class LightingCalculator {
    */
   static async showPlayerLightingHUD(token, tokenHUD, html) {
     if (!TokenHelpers.isValidToken(token)) return;
-    if (!TokenHelpers.hasValidHitPoints(token)) return;
+    if (!TokenHelpers.isTokenAlive(token)) return;
 
-    const storedLightLevel = token.actor.getFlag(MODULE.ID, 'lightLevel');
+    const storedLightLevel = TokenHelpers.getStoredLightLevel(token);
     const lightCondition = storedLightLevel || 'bright';
-    const iconClass = LIGHTING.ICONS[lightCondition];
+    const iconClass = LightTiers.getIcon(lightCondition);
 
-    this._createLightingIndicator(html, iconClass, lightCondition);
+    this._createLightingIndicator(html, iconClass, lightCondition, { locked: Boolean(LightOverrides.get(token)) });
+  }
+
+  /**
+   * Display the light level of a target as perceived by an observer in the token HUD
+   * @param {Token} observer - The token whose HUD is open
+   * @param {Token} target - The user's target
+   * @param {HTMLElement} html - The HUD HTML element
+   */
+  static async showPerceivedLightingHUD(observer, target, html) {
+    if (!target.actor || !TokenHelpers.isTokenAlive(target)) return;
+
+    const perceivedLevel = await PerceptionCalculator.getPerceivedLightLevel(observer, target);
+    const levelLabel = LightTiers.getLabel(perceivedLevel);
+
+    this._createLightingIndicator(html, LightTiers.getIcon(perceivedLevel), perceivedLevel, {
+      id: 'perceived-light-level-indicator-icon',
+      tooltip: game.i18n.format('TOKENLIGHTCONDITION.HUD.PerceivedLevel', { target: target.name, level: levelLabel })
+    });
   }
 
   /**
@@ -145,11 +235,12 @@ export class LightingCalculator {
    * Used for directional light calculations
    * @param {Token} token - The token
    * @param {Token|AmbientLight} lightSource - The light source
+   * @param {Object} [point] - Point to measure from {x, y}, defaults to the token center
    * @returns {number} The angle in degrees
    */
-  static calculateLightAngle(token, lightSource) {
-    const deltaX = lightSource.center.x - token.center.x;
-    const deltaY = token.center.y - lightSource.center.y;
+  static calculateLightAngle(token, lightSource, point = token.center) {
+    const deltaX = lightSource.center.x - point.x;
+    const deltaY = point.y - lightSource.center.y;
 
     // Handle case where token and light are at the same position
     if (deltaX === 0 && deltaY === 0) return 0;
@@ -162,13 +253,111 @@ export class LightingCalculator {
     return angle;
   }
 
+  /**
+   * Determine the numeric lighting level at a single point of a token
+   * @param {Token} token - The token to analyze
+   * @param {Object} point - The sample point {x, y, elevation, bounds}
+   * @param {Object} [breakdown] - Filled with the details of the calculation at this point when given
+   * @returns {Promise<number>} The numeric light level
+   * @private
+   */
+  static async _determinePointLightLevel(token, point, breakdown = null) {
+    let lightLevel = LightTiers.DARK; // Start with the core dark tier
+    let globalIlluminationActive = false;
+
+    // Check global illumination first
+    const globalConfig = SceneSettings.get(SETTINGS.GLOBAL_ILLUMINATION);
+
+    if (globalConfig) {
+      globalIlluminationActive = this._checkGlobalIllumination(token, point);
+      if (globalIlluminationActive) {
+        lightLevel = LightTiers.BRIGHT;
+        log(3, 'Global illumination provides bright light');
+      }
+    }
+
+    if (breakdown) {
+      breakdown.globalIllumination = globalIlluminationActive;
+      breakdown.restrictingTile = this._isTokenUnderLightRestrictingTile(token, point);
+    }
+
+    // Apply the scene darkness baseline, a bright baseline behaves like global illumination
+    if (!globalIlluminationActive && SceneSettings.get(SETTINGS.DARKNESS_BASELINE)) {
+      lightLevel = Math.max(lightLevel, this._getDarknessBaseline(token, point));
+      globalIlluminationActive = lightLevel === LightTiers.BRIGHT;
+      if (breakdown) breakdown.baseline = this.convertLightLevelToText(lightLevel);
+    }
+
+    // Process individual light sources, which can still reach tiers brighter than global illumination
+    const hasBrighterTiers = LightTiers.getAll().length - 1 > LightTiers.BRIGHT;
+    const shouldCheckIndividualLights = !globalIlluminationActive || hasBrighterTiers || SceneSettings.get(SETTINGS.NEGATIVE_LIGHTS);
+
+    if (shouldCheckIndividualLights) {
+      lightLevel = await this._processLightSources(token, point, lightLevel, globalIlluminationActive, breakdown);
+    }
+
+    // Apply lighting zones such as magical darkness areas
+    const zones = LightingZones.getZones(token, point);
+    const finalLevel = LightingZones.applyZones(lightLevel, zones);
+
+    if (breakdown) {
+      breakdown.zones = zones.map((zone) => ({
+        name: (zone.type === 'region' ? zone.document.name || zone.document.parent?.name : zone.document.text) || zone.document.id,
+        type: zone.type,
+        mode: zone.mode,
+        level: this.convertLightLevelToText(zone.level)
+      }));
+      breakdown.level = this.convertLightLevelToText(finalLevel);
+    }
+
+    return finalLevel;
+  }
+
+  /**
+   * Combine the light levels of several sample points into one
+   * @param {number[]} sampleLevels - Numeric light levels, the center point first
+   * @param {string} rule - The coverage rule from SAMPLING.RULES
+   * @returns {number} The combined numeric light level
+   * @private
+   */
+  static _combineSampleLevels(sampleLevels, rule) {
+    if (sampleLevels.length === 1) return sampleLevels[0];
+
+    const [centerLevel, ...otherLevels] = sampleLevels;
+
+    switch (rule) {
+      case SAMPLING.RULES.BRIGHTEST:
+        return Math.max(...sampleLevels);
+
+      case SAMPLING.RULES.DARKEST:
+        return Math.min(...sampleLevels);
+
+      case SAMPLING.RULES.CENTER:
+        // The center wins unless every other point agrees on a different level
+        return otherLevels.every((level) => level === otherLevels[0]) ? otherLevels[0] : centerLevel;
+
+      case SAMPLING.RULES.MAJORITY:
+      default: {
+        const counts = new Map();
+        for (const level of sampleLevels) counts.set(level, (counts.get(level) ?? 0) + 1);
+
+        const highestCount = Math.max(...counts.values());
+        const leadingLevels = [...counts.keys()].filter((level) => counts.get(level) === highestCount);
+
+        // Ties go to the center point, or the brightest tied level if the center is not among them
+        return leadingLevels.includes(centerLevel) ? centerLevel : Math.max(...leadingLevels);
+      }
+    }
+  }
+
   /**
    * Check if global illumination should provide bright light for a token
    * @param {Token} token - The token to check
+   * @param {Object} point - The resolved token position
    * @returns {boolean} True if global illumination provides bright light
    * @private
    */
-  static _checkGlobalIllumination(token) {
+  static _checkGlobalIllumination(token, point) {
     const globalLight = canvas.scene.environment.globalLight.enabled;
     const darkness = canvas.scene.environment.darknessLevel;
     const globalLightThreshold = canvas.scene.environment.globalLight.darkness.max ?? 1;
@@ -176,7 +365,7 @@ export class LightingCalculator {
     // Global light is active if enabled and darkness is below threshold
     if (globalLight && globalLightThreshold && darkness <= globalLightThreshold) {
       // Check if token is under a light-restricting tile
-      if (this._isTokenUnderLightRestrictingTile(token)) {
+      if (this._isTokenUnderLightRestrictingTile(token, point)) {
         log(3, `Token ${token.id} under light-restricting tile, global illumination blocked`);
         return false;
       }
@@ -187,19 +376,50 @@ export class LightingCalculator {
     return false;
   }
 
+  /**
+   * Get the ambient light level provided by the scene's darkness level
+   * @param {Token} token - The token to check
+   * @param {Object} point - The resolved token position
+   * @returns {number} The baseline numeric light level
+   * @private
+   */
+  static _getDarknessBaseline(token, point) {
+    // Light-restricting tiles block ambient light as they do global illumination
+    if (this._isTokenUnderLightRestrictingTile(token, point)) {
+      log(3, `Token ${token.id} under light-restricting tile, darkness baseline blocked`);
+      return LightTiers.DARK;
+    }
+
+    const darkness = canvas.scene.environment.darknessLevel;
+    const brightThreshold = SceneSettings.get(SETTINGS.BRIGHT_THRESHOLD);
+    const dimThreshold = Math.max(brightThreshold, SceneSettings.get(SETTINGS.DIM_THRESHOLD));
+
+    let baseline = LightTiers.DARK;
+    if (darkness <= brightThreshold) {
+      baseline = LightTiers.BRIGHT;
+    } else if (darkness <= dimThreshold) {
+      baseline = LightTiers.DIM;
+    }
+
+    log(3, `Darkness baseline: ${baseline} (darkness: ${darkness}, bright: ${brightThreshold}, dim: ${dimThreshold})`);
+    return baseline;
+  }
+
   /**
    * Process all light sources to determine their effect on a token
    * @param {Token} token - The token to analyze
+   * @param {Object} point - The resolved token position
    * @param {number} currentLightLevel - The current light level
    * @param {boolean} globalIlluminationActive - Whether global illumination is active
+   * @param {Object} [breakdown] - Receives an entry per light in range when given
    * @returns {Promise<number>} The final light level
    * @private
    */
-  static async _processLightSources(token, currentLightLevel, globalIlluminationActive) {
+  static async _processLightSources(token, point, currentLightLevel, globalIlluminationActive, breakdown = null) {
     let lightLevel = currentLightLevel;
 
-    // Get all potential light sources (ambient lights and token lights)
-    const lightSources = [...canvas.lighting.objects.children, ...canvas.tokens.placeables];
+    // Get the light sources whose area contains the point (ambient lights and token lights)
+    const lightSources = LightIndex.getLightSources(point);
 
     // Sort by luminosity (brightest first) for processing priority
     const sortedLights = lightSources.sort((a, b) => {
@@ -208,11 +428,16 @@ export class LightingCalculator {
       return bLuminosity - aLuminosity;
     });
 
-    const supportNegativeLights = game.settings.get(MODULE.ID, SETTINGS.NEGATIVE_LIGHTS);
+    const options = {
+      globalIlluminationActive,
+      supportNegativeLights: SceneSettings.get(SETTINGS.NEGATIVE_LIGHTS),
+      useLightPolygons: SceneSettings.get(SETTINGS.LIGHT_POLYGONS),
+      breakdown
+    };
 
     // Process each light source
     for (const lightSource of sortedLights) {
-      lightLevel = await this._processIndividualLight(token, lightSource, lightLevel, globalIlluminationActive, supportNegativeLights);
+      lightLevel = await this._processIndividualLight(token, point, lightSource, lightLevel, options);
     }
 
     return lightLevel;
@@ -221,14 +446,18 @@ export class LightingCalculator {
   /**
    * Process an individual light source's effect on a token
    * @param {Token} token - The target token
+   * @param {Object} point - The resolved token position
    * @param {Token|AmbientLight} lightSource - The light source
    * @param {number} currentLightLevel - Current light level
-   * @param {boolean} globalIlluminationActive - Whether global illumination is active
-   * @param {boolean} supportNegativeLights - Whether negative lights are supported
+   * @param {Object} options - Calculation options
+   * @param {boolean} options.globalIlluminationActive - Whether global illumination is active
+   * @param {boolean} options.supportNegativeLights - Whether negative lights are supported
+   * @param {boolean} options.useLightPolygons - Whether to test against the light's computed polygon
+   * @param {Object} [options.breakdown] - Receives an entry for the light when it is in range
    * @returns {Promise<number>} Updated light level
    * @private
    */
-  static async _processIndividualLight(token, lightSource, currentLightLevel, globalIlluminationActive, supportNegativeLights) {
+  static async _processIndividualLight(token, point, lightSource, currentLightLevel, { globalIlluminationActive, supportNegativeLights, useLightPolygons, breakdown }) {
     // Determine if this is a token light or ambient light
     const isTokenLight = Boolean(lightSource.light);
     const source = isTokenLight ? lightSource.light : lightSource.lightSource;
@@ -237,7 +466,7 @@ export class LightingCalculator {
     if (!source?.active) return currentLightLevel;
 
     // Calculate distance to light source
-    const tokenDistance = TokenHelpers.calculate3DDistance(token, source);
+    const tokenDistance = TokenHelpers.calculate3DDistance(token, source, point);
     const dimRadius = source.data.dim;
     const brightRadius = source.data.bright;
     const isNegativeLight = supportNegativeLights && source.data.luminosity < 0;
@@ -249,56 +478,111 @@ export class LightingCalculator {
       return currentLightLevel; // Too far from light source
     }
 
-    // Check if token is within light angle (for directional lights)
-    if (!this._isTokenInLightAngle(token, lightSource, source)) {
-      return currentLightLevel; // Outside light cone
+    // Record the light for the lighting breakdown
+    const entry = breakdown ? { id: lightSource.id, name: isTokenLight ? lightSource.name : null, isTokenLight, distance: tokenDistance, dimRadius, brightRadius, isNegativeLight } : null;
+    const record = (status, lightLevel = currentLightLevel) => {
+      if (entry) breakdown.lights.push({ ...entry, status, level: this.convertLightLevelToText(lightLevel), changed: lightLevel !== currentLightLevel });
+      return lightLevel;
+    };
+
+    if (useLightPolygons && source.shape) {
+      // The computed polygon already accounts for the light's angle and every wall type restricting it
+      if (!this._isPointInLightShape(point, source)) {
+        return record('outsideShape'); // Outside the illuminated area
+      }
+    } else {
+      // Check if token is within light angle (for directional lights)
+      if (!this._isTokenInLightAngle(token, point, lightSource, source)) {
+        return record('outsideCone'); // Outside light cone
+      }
+
+      // Check for wall collisions blocking the light
+      if (TokenHelpers.hasWallCollision(token, lightSource, point)) {
+        return record('blocked'); // Light blocked by walls
+      }
     }
 
-    // Check for wall collisions blocking the light
-    if (TokenHelpers.hasWallCollision(token, lightSource)) {
-      return currentLightLevel; // Light blocked by walls
+    // Positive lights increase the level to the brightest tier whose radius contains the token
+    if (!isNegativeLight) {
+      return record('lit', this._getLitLightLevel(tokenDistance, source.data, currentLightLevel, globalIlluminationActive));
     }
 
-    // Apply light effects based on distance and type
+    // Negative lights reduce the level to the core tiers
     let newLightLevel = currentLightLevel;
 
-    // Apply dim light effect
-    if (tokenDistance <= dimRadius && dimRadius > 0) {
-      if (isNegativeLight && currentLightLevel > LIGHTING.LEVELS.DIM) {
-        newLightLevel = LIGHTING.LEVELS.DIM; // Negative light reduces to dim
-      } else if (!isNegativeLight && currentLightLevel < LIGHTING.LEVELS.DIM) {
-        newLightLevel = LIGHTING.LEVELS.DIM; // Positive light increases to dim
-      }
+    if (tokenDistance <= dimRadius && dimRadius > 0 && currentLightLevel > LightTiers.DIM) {
+      newLightLevel = LightTiers.DIM; // Negative light reduces to dim
     }
 
-    // Apply bright light effect
-    if (tokenDistance <= brightRadius && brightRadius > 0) {
-      if (isNegativeLight && currentLightLevel > LIGHTING.LEVELS.DARK) {
-        newLightLevel = LIGHTING.LEVELS.DARK; // Negative light reduces to dark
-      } else if (!isNegativeLight && currentLightLevel < LIGHTING.LEVELS.BRIGHT && !globalIlluminationActive) {
-        newLightLevel = LIGHTING.LEVELS.BRIGHT; // Positive light increases to bright
-      }
+    if (tokenDistance <= brightRadius && brightRadius > 0 && currentLightLevel > LightTiers.DARK) {
+      newLightLevel = LightTiers.DARK; // Negative light reduces to dark
+    }
+
+    return record('lit', newLightLevel);
+  }
+
+  /**
+   * Get the light level a positive light gives a token within its range
+   * Each tier is reached within its scaled radius of the light
+   * @param {number} tokenDistance - Distance from the light to the token
+   * @param {Object} lightData - The light source data with its dim and bright radii
+   * @param {number} currentLightLevel - Current light level
+   * @param {boolean} globalIlluminationActive - Whether global illumination is active
+   * @returns {number} Updated light level
+   * @private
+   */
+  static _getLitLightLevel(tokenDistance, lightData, currentLightLevel, globalIlluminationActive) {
+    for (const tier of LightTiers.getLitTiers()) {
+      if (tier.index <= currentLightLevel) break;
+
+      const radius = tier.radius === LIGHT_TIERS.RADIUS.BRIGHT ? lightData.bright : lightData.dim;
+      if (!(radius > 0) || tokenDistance > radius * tier.scale) continue;
+
+      // Global illumination already provides bright light, only brighter tiers can be added
+      if (globalIlluminationActive && tier.radius === LIGHT_TIERS.RADIUS.BRIGHT && tier.index <= LightTiers.BRIGHT) continue;
+
+      return tier.index;
     }
 
-    return newLightLevel;
+    return currentLightLevel;
+  }
+
+  /**
+   * Check if a point is within the area illuminated by a light source
+   * The shape covers the dim radius; the bright area is the part of it within the bright radius,
+   * which the distance checks in _processIndividualLight already handle
+   * @param {Object} point - The resolved token position
+   * @param {LightSource} source - The light source with a computed shape
+   * @returns {boolean} True if the point is inside the light's polygon
+   * @private
+   */
+  static _isPointInLightShape(point, source) {
+    const isInside = source.shape.contains(point.x, point.y);
+
+    if (!isInside) {
+      log(3, `Point (${point.x}, ${point.y}) outside light polygon`);
+    }
+
+    return isInside;
   }
 
   /**
    * Check if a token is within the angle of a directional light source
    * @param {Token} token - The token to check
+   * @param {Object} point - The resolved token position
    * @param {Token|AmbientLight} lightSource - The light source
    * @param {LightSource} source - The actual light source data
    * @returns {boolean} True if token is within light angle
    * @private
    */
-  static _isTokenInLightAngle(token, lightSource, source) {
+  static _isTokenInLightAngle(token, point, lightSource, source) {
     const lightAngle = source.data.angle;
 
     // 360-degree lights affect everything
     if (lightAngle >= 360) return true;
 
     const lightRotation = source.data.rotation;
-    const tokenAngle = this.calculateLightAngle(token, lightSource);
+    const tokenAngle = this.calculateLightAngle(token, lightSource, point);
 
     // Calculate the difference between token angle and light rotation
     let angleDifference = Math.abs(tokenAngle - lightRotation);
@@ -321,14 +605,15 @@ export class LightingCalculator {
   /**
    * Check if a token is underneath a tile with light restrictions
    * @param {Token} token - The token to check
+   * @param {Object} point - The resolved token position
    * @returns {boolean} True if token is under a light-restricting tile
    * @private
    */
-  static _isTokenUnderLightRestrictingTile(token) {
+  static _isTokenUnderLightRestrictingTile(token, point) {
     // Early exit if no tiles are present
     if (!canvas.tiles?.placeables) return false;
 
-    const tokenElevation = token.document.elevation || 0;
+    const tokenElevation = point.elevation || 0;
 
     // Find tiles with light restrictions
     const lightRestrictingTiles = canvas.tiles.placeables.filter((tile) => tile.document?.restrictions?.light === true);
@@ -337,7 +622,7 @@ export class LightingCalculator {
 
     // Check each light-restricting tile
     for (const tile of lightRestrictingTiles) {
-      const isTokenInTile = token.bounds.intersects(tile.bounds);
+      const isTokenInTile = point.bounds.intersects(tile.bounds);
 
       if (isTokenInTile) {
         const tileElevation = tile.document.elevation || 0;
@@ -356,21 +641,14 @@ export class LightingCalculator {
   /**
    * Convert numeric light level to text representation
    * @param {number} lightLevel - The numeric light level
-   * @returns {string} The text representation ('bright', 'dim', or 'dark')
-   * @private
+   * @returns {string} The ID of the light tier, such as 'bright', 'dim', or 'dark'
    */
-  static _convertLightLevelToText(lightLevel) {
-    switch (lightLevel) {
-      case LIGHTING.LEVELS.DARK:
-        return 'dark';
-      case LIGHTING.LEVELS.DIM:
-        return 'dim';
-      case LIGHTING.LEVELS.BRIGHT:
-        return 'bright';
-      default:
-        log(2, `Unknown light level: ${lightLevel}, defaulting to bright`);
-        return 'bright';
-    }
+  static convertLightLevelToText(lightLevel) {
+    const tierId = LightTiers.getId(lightLevel);
+    if (tierId) return tierId;
+
+    log(2, `Unknown light level: ${lightLevel}, defaulting to bright`);
+    return 'bright';
   }
 
   /**
@@ -378,11 +656,16 @@ export class LightingCalculator {
    * @param {HTMLElement} html - The HUD HTML element
    * @param {string} iconClass - The CSS class for the icon
    * @param {string} condition - The lighting condition text
+   * @param {Object} [options={}] - Indicator options
+   * @param {string} [options.id='light-level-indicator-icon'] - Element ID of the indicator
+   * @param {string} [options.tooltip] - Tooltip text, defaults to the light level
+   * @param {boolean} [options.locked=false] - Whether to show the lock badge of a GM override
+   * @returns {HTMLButtonElement} The indicator button
    * @private
    */
-  static _createLightingIndicator(html, iconClass, condition) {
+  static _createLightingIndicator(html, iconClass, condition, { id = 'light-level-indicator-icon', tooltip, locked = false } = {}) {
     // Remove any existing indicator
-    const existingIcon = html.querySelector('#light-level-indicator-icon');
+    const existingIcon = html.querySelector(`#${id}`);
     if (existingIcon) {
       existingIcon.remove();
     }
@@ -390,9 +673,11 @@ export class LightingCalculator {
     // Create new lighting indicator button
     const lightButton = document.createElement('button');
     lightButton.type = 'button';
-    lightButton.id = 'light-level-indicator-icon';
+    lightButton.id = id;
     lightButton.className = `control-icon token-light-condition ${condition}`;
-    lightButton.setAttribute('data-tooltip', `Light Level: ${condition.charAt(0).toUpperCase() + condition.slice(1)}`);
+    lightButton.classList.add(LightTiers.getCoreTier(condition));
+    if (id !== 'light-level-indicator-icon') lightButton.classList.add('perceived');
+    lightButton.setAttribute('data-tooltip', tooltip ?? `Light Level: ${LightTiers.getLabel(condition)}`);
     lightButton.disabled = true;
 
     // Create and add icon
@@ -400,6 +685,13 @@ export class LightingCalculator {
     icon.className = iconClass;
     lightButton.appendChild(icon);
 
+    if (locked) {
+      const lockBadge = document.createElement('i');
+      lockBadge.className = 'fas fa-lock lock-badge';
+      lightButton.classList.add('locked');
+      lightButton.appendChild(lockBadge);
+    }
+
     // Add to right panel of token HUD
     const rightPanel = html.querySelector('.right');
     if (rightPanel) {
@@ -407,5 +699,7 @@ export class LightingCalculator {
     } else {
       log(2, 'Could not find right panel in token HUD for lighting indicator');
     }
+
+    return lightButton;
   }
 }
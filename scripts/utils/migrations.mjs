@@ -0,0 +1,190 @@
+/**
+ * Data migrations for Token Light Condition module
+ * Upgrades data written by earlier versions once per world, tracked by the migration version setting
+ */
+
+import { MODULE, SETTINGS } from '../constants.mjs';
+import { log } from '../logger.mjs';
+import { EffectsManager } from './effects.mjs';
+
+/**
+ * Runs the migrations the world has not had yet, in version order (GM only)
+ * Each migration returns the number of documents it changed and only writes documents that still hold old data
+ */
+export class MigrationRunner {
+  /** @type {Object[]} Migrations {version, name, method} in version order, method is a static method of this class */
+  static MIGRATIONS = [
+    { version: 1, name: 'TOKENLIGHTCONDITION.Migration.Steps.TokenFlags', method: 'migrateActorLightFlags' },
+    { version: 2, name: 'TOKENLIGHTCONDITION.Migration.Steps.Pf2eItems', method: 'migratePf2eEffectItems' },
+    { version: 3, name: 'TOKENLIGHTCONDITION.Migration.Steps.OrphanedEffects', method: 'removeOrphanedEffects' }
+  ];
+
+  /** @type {string[]} Light state flags earlier versions stored on actors */
+  static ACTOR_LIGHT_FLAGS = ['lightLevel', 'initialized'];
+
+  /**
+   * Run the pending migrations
+   * The version is saved after each migration, so a failed migration is retried on the next load
+   * Worlds without data from earlier versions, such as new installs, are migrated without notifications
+   */
+  static async run() {
+    if (!game.user.isGM) return;
+
+    const currentVersion = game.settings.get(MODULE.ID, SETTINGS.MIGRATION_VERSION);
+    const pending = this.MIGRATIONS.filter((migration) => migration.version > currentVersion);
+    if (!pending.length) return;
+
+    log(3, `Running ${pending.length} migrations`);
+    const summary = [];
+    let totalChanged = 0;
+
+    for (const migration of pending) {
+      const name = game.i18n.localize(migration.name);
+      try {
+        const changed = await this[migration.method]();
+        summary.push(`${name}: ${changed}`);
+        totalChanged += changed;
+        await game.settings.set(MODULE.ID, SETTINGS.MIGRATION_VERSION, migration.version);
+      } catch (error) {
+        log(1, `Migration ${migration.version} failed:`, error);
+        ui.notifications.error(game.i18n.format('TOKENLIGHTCONDITION.Migration.Failed', { name }));
+        return;
+      }
+    }
+
+    log(3, `Migrated to version ${pending.at(-1).version}, documents changed per migration:`, summary.join(', '));
+    if (totalChanged) ui.notifications.info(game.i18n.format('TOKENLIGHTCONDITION.Migration.Completed', { count: totalChanged }));
+  }
+
+  /**
+   * Move the light state flags from actors to the token documents of every scene
+   * Earlier versions stored them on the actor, so tokens sharing an actor overwrote each other's light level
+   * Tokens keep their own flags when they already have them
+   * @returns {Promise<number>} Number of tokens and actors changed
+   */
+  static async migrateActorLightFlags() {
+    let migratedTokens = 0;
+    for (const scene of game.scenes) {
+      const updates = scene.tokens.map((tokenDocument) => this._getTokenFlagUpdate(tokenDocument)).filter(Boolean);
+      if (!updates.length) continue;
+
+      await scene.updateEmbeddedDocuments('Token', updates);
+      migratedTokens += updates.length;
+    }
+
+    const actorUpdates = game.actors.filter((actor) => this._hasActorLightFlags(actor)).map((actor) => ({ _id: actor.id, ...this._getFlagDeletions() }));
+    if (actorUpdates.length) await Actor.updateDocuments(actorUpdates);
+
+    return migratedTokens + actorUpdates.length;
+  }
+
+  /**
+   * Upgrade PF2e effect items created by earlier versions
+   * World items that served as effect templates are no longer used and are deleted, they are found by flag as
+   * their names depend on the language they were created in. Embedded effect items lose their version stamp
+   * @returns {Promise<number>} Number of items changed
+   */
+  static async migratePf2eEffectItems() {
+    const worldItemIds = game.items.filter((item) => item.flags?.[MODULE.ID]?.effectType).map((item) => item.id);
+    if (worldItemIds.length) await Item.deleteDocuments(worldItemIds);
+
+    let changed = worldItemIds.length;
+    for (const actor of this._getAllActors()) {
+      const updates = actor.items.filter((item) => item.flags?.[MODULE.ID]?.version !== undefined).map((item) => ({ _id: item.id, [`flags.${MODULE.ID}.-=version`]: null }));
+      if (!updates.length) continue;
+
+      await actor.updateEmbeddedDocuments('Item', updates);
+      changed += updates.length;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Remove lighting effects from actors that no token tracks anymore
+   * Linked actors keep their effects while one of their tokens stores a light level, unlinked tokens while they store one themselves
+   * Effects on base actors of unlinked tokens are always orphaned, as lighting effects go on the token's synthetic actor
+   * @returns {Promise<number>} Number of effects and effect items removed
+   */
+  static async removeOrphanedEffects() {
+    const trackedActorIds = new Set();
+    for (const scene of game.scenes) {
+      for (const tokenDocument of scene.tokens) {
+        if (tokenDocument.actorLink && tokenDocument.getFlag(MODULE.ID, 'lightLevel')) trackedActorIds.add(tokenDocument.actorId);
+      }
+    }
+
+    let removed = 0;
+    for (const actor of game.actors) {
+      if (!trackedActorIds.has(actor.id)) removed += await EffectsManager.removeLightingDocuments(actor);
+    }
+
+    // Base actors are cleaned first so unlinked tokens no longer inherit their orphaned effects
+    for (const scene of game.scenes) {
+      for (const tokenDocument of scene.tokens) {
+        if (tokenDocument.actorLink || !tokenDocument.actor || tokenDocument.getFlag(MODULE.ID, 'lightLevel')) continue;
+        removed += await EffectsManager.removeLightingDocuments(tokenDocument.actor);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get the update moving a token's actor light state flags to the token
+   * Unlinked tokens also drop the flags from their actor delta
+   * @param {TokenDocument} tokenDocument - The token document
+   * @returns {Object|null} The token update, or null if its actor has no light state flags
+   * @private
+   */
+  static _getTokenFlagUpdate(tokenDocument) {
+    const actor = tokenDocument.actor;
+    if (!actor || !this._hasActorLightFlags(actor)) return null;
+
+    const update = { _id: tokenDocument.id };
+    for (const key of this.ACTOR_LIGHT_FLAGS) {
+      const value = actor.getFlag(MODULE.ID, key);
+      if (value !== undefined && tokenDocument.getFlag(MODULE.ID, key) === undefined) {
+        update[`flags.${MODULE.ID}.${key}`] = value;
+      }
+    }
+
+    if (!tokenDocument.actorLink && this._hasActorLightFlags(tokenDocument.delta ?? {})) {
+      for (const [path, value] of Object.entries(this._getFlagDeletions())) update[`delta.${path}`] = value;
+    }
+
+    return Object.keys(update).length > 1 ? update : null;
+  }
+
+  /**
+   * Check whether a document still has light state flags in its flags data
+   * @param {Document|Object} document - The actor, actor delta, or its data
+   * @returns {boolean} True if any light state flag is present
+   * @private
+   */
+  static _hasActorLightFlags(document) {
+    const flags = document.flags?.[MODULE.ID];
+    return this.ACTOR_LIGHT_FLAGS.some((key) => flags?.[key] !== undefined);
+  }
+
+  /**
+   * Get the update paths deleting the light state flags
+   * @returns {Object<string, null>} Deletion paths relative to the document
+   * @private
+   */
+  static _getFlagDeletions() {
+    return Object.fromEntries(this.ACTOR_LIGHT_FLAGS.map((key) => [`flags.${MODULE.ID}.-=${key}`, null]));
+  }
+
+  /**
+   * Get the world actors and the synthetic actors of unlinked tokens on every scene
+   * @returns {Actor[]} The actors
+   * @private
+   */
+  static _getAllActors() {
+    const syntheticActors = game.scenes.contents.flatMap((scene) =>
+      scene.tokens.filter((tokenDocument) => !tokenDocument.actorLink && tokenDocument.actor).map((tokenDocument) => tokenDocument.actor)
+    );
+    return [...game.actors, ...syntheticActors];
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Light level overrides for Token Light Condition module
+ * Lets the GM lock a token's light level so lighting calculations do not overwrite it
+ */
+
+import { MODULE, OVERRIDE_DURATIONS, TEMPLATES } from '../constants.mjs';
+import { log } from '../logger.mjs';
+import { TokenHelpers } from './helpers.mjs';
+import { LightTiers } from './light-tiers.mjs';
+
+/**
+ * Manages GM overrides stored in the token flags under override
+ * An override has {level, duration} and for round durations {combatId, round}, the round it expires at
+ */
+export class LightOverrides {
+  /**
+   * Get the active override of a token
+   * Overrides that expired or refer to a removed light tier are ignored
+   * @param {Token} token - The token
+   * @returns {Object|null} The override or null if there is none
+   */
+  static get(token) {
+    const override = token?.document?.getFlag(MODULE.ID, 'override');
+    if (!override || !LightTiers.get(override.level) || this.isExpired(override)) return null;
+    return override;
+  }
+
+  /**
+   * Check whether an override has expired
+   * Round overrides expire once their combat reaches the expiry round or ends
+   * @param {Object} override - The override
+   * @returns {boolean} True if the override has expired
+   */
+  static isExpired(override) {
+    if (override.duration !== OVERRIDE_DURATIONS.ROUNDS) return false;
+
+    const combat = game.combats.get(override.combatId);
+    return !combat || combat.round >= override.round;
+  }
+
+  /**
+   * Lock a token's light level
+   * @param {Token} token - The token
+   * @param {string} level - The light tier ID
+   * @param {Object} [options={}] - Override options
+   * @param {string} [options.duration=OVERRIDE_DURATIONS.PERMANENT] - Duration from OVERRIDE_DURATIONS
+   * @param {number} [options.rounds=1] - Number of rounds, for round durations in the active combat
+   * @returns {Promise<boolean>} True if the override was set
+   */
+  static async set(token, level, { duration = OVERRIDE_DURATIONS.PERMANENT, rounds = 1 } = {}) {
+    if (!LightTiers.get(level)) {
+      log(2, `Cannot override light level - unknown light tier: ${level}`);
+      return false;
+    }
+
+    const override = { level, duration };
+    if (duration === OVERRIDE_DURATIONS.ROUNDS) {
+      const combat = game.combat;
+      if (!combat?.started) {
+        ui.notifications.warn(game.i18n.localize('TOKENLIGHTCONDITION.Override.NoCombat'));
+        return false;
+      }
+
+      override.combatId = combat.id;
+      override.round = combat.round + Math.max(1, Math.round(rounds) || 1);
+    }
+
+    await token.document.setFlag(MODULE.ID, 'override', override);
+    log(3, `Locked light level of token ${token.id} to ${level} (${duration})`);
+    return true;
+  }
+
+  /**
+   * Remove a token's override
+   * @param {Token} token - The token
+   */
+  static async clear(token) {
+    if (!token?.document?.getFlag(MODULE.ID, 'override')) return;
+
+    await token.document.unsetFlag(MODULE.ID, 'override');
+    log(3, `Cleared light level override of token ${token.id}`);
+  }
+
+  /**
+   * Remove the expired round overrides of tokens on the current scene
+   */
+  static async clearExpired() {
+    for (const token of canvas.tokens?.placeables ?? []) {
+      const override = token.document.getFlag(MODULE.ID, 'override');
+      if (override && this.isExpired(override)) await this.clear(token);
+    }
+  }
+
+  /**
+   * Get a description of an override for tooltips
+   * @param {Object} override - The override
+   * @returns {string} Localized description
+   */
+  static describe(override) {
+    const level = LightTiers.getLabel(override.level);
+    if (override.duration === OVERRIDE_DURATIONS.ROUNDS) {
+      return game.i18n.format('TOKENLIGHTCONDITION.Override.Description.Rounds', { level, round: override.round });
+    }
+
+    const key = override.duration === OVERRIDE_DURATIONS.MOVE ? 'Move' : 'Permanent';
+    return game.i18n.format(`TOKENLIGHTCONDITION.Override.Description.${key}`, { level });
+  }
+
+  /**
+   * Open a dialog for the GM to lock or unlock the light level of one or more tokens
+   * The dialog starts from the first token's override or light level
+   * @param {Token|Token[]} tokens - The token or tokens
+   */
+  static async openDialog(tokens) {
+    tokens = [tokens].flat();
+    const [token] = tokens;
+    if (!token) return;
+
+    const override = this.get(token);
+    const renderTemplate = foundry.applications.handlebars?.renderTemplate ?? globalThis.renderTemplate;
+    const content = await renderTemplate(TEMPLATES.LIGHT_OVERRIDE, {
+      level: override?.level ?? TokenHelpers.getStoredLightLevel(token),
+      duration: override?.duration ?? OVERRIDE_DURATIONS.PERMANENT,
+      rounds: 1,
+      levels: LightTiers.getChoices(),
+      durations: this._getDurationChoices()
+    });
+
+    const FormDataClass = foundry.applications.ux?.FormDataExtended ?? FormDataExtended;
+    const result = await foundry.applications.api.DialogV2.wait({
+      window: {
+        title: game.i18n.format('TOKENLIGHTCONDITION.Override.Title', {
+          name: tokens.length > 1 ? game.i18n.format('TOKENLIGHTCONDITION.Override.Tokens', { count: tokens.length }) : token.name
+        }),
+        icon: 'fas fa-lock'
+      },
+      content,
+      buttons: [
+        {
+          action: 'lock',
+          label: 'TOKENLIGHTCONDITION.Override.Lock',
+          icon: 'fas fa-lock',
+          default: true,
+          callback: (event, button) => new FormDataClass(button.form).object
+        },
+        {
+          action: 'clear',
+          label: 'TOKENLIGHTCONDITION.Override.Clear',
+          icon: 'fas fa-lock-open'
+        }
+      ],
+      rejectClose: false
+    });
+
+    for (const target of tokens) {
+      if (result === 'clear') {
+        await this.clear(target);
+      } else if (result && !(await this.set(target, result.level, { duration: result.duration, rounds: result.rounds }))) {
+        break; // The same failure applies to every token
+      }
+    }
+  }
+
+  /**
+   * Get localized choices for override durations
+   * @returns {Object<string, string>} Duration choices
+   * @private
+   */
+  static _getDurationChoices() {
+    return {
+      [OVERRIDE_DURATIONS.PERMANENT]: 'TOKENLIGHTCONDITION.Override.Duration.Choices.Permanent',
+      [OVERRIDE_DURATIONS.ROUNDS]: 'TOKENLIGHTCONDITION.Override.Duration.Choices.Rounds',
+      [OVERRIDE_DURATIONS.MOVE]: 'TOKENLIGHTCONDITION.Override.Duration.Choices.Move'
+    };
+  }
+}
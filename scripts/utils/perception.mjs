@@ -0,0 +1,173 @@
+/**
+ * Perception system for Token Light Condition module
+ * Determines how an observer perceives the light level of a target based on its senses
+ */
+
+import { SENSES, ZONE_MODES } from '../constants.mjs';
+import { log } from '../logger.mjs';
+import { SystemAdapters } from '../systems/adapters.mjs';
+import { TokenHelpers } from './helpers.mjs';
+import { LightTiers } from './light-tiers.mjs';
+import { LightingCalculator } from './lighting.mjs';
+import { LightingZones } from './zones.mjs';
+
+/**
+ * Calculates the perceived light level of a target relative to an observer token
+ * Senses are read from the observer's detection modes, vision settings, and game system data
+ */
+export class PerceptionCalculator {
+  /** @type {Object<string, string>} Core and system detection modes that grant a sense */
+  static DETECTION_MODE_SENSES = {
+    seeAll: SENSES.TRUESIGHT,
+    senseAll: SENSES.BLINDSIGHT,
+    blindsight: SENSES.BLINDSIGHT
+  };
+
+  /** @type {Object<string, string>} Vision modes that grant a sense within the token's vision range */
+  static VISION_MODE_SENSES = {
+    darkvision: SENSES.DARKVISION,
+    lightAmplification: SENSES.LOW_LIGHT_VISION
+  };
+
+  /**
+   * Get the light level of a target as perceived by an observer
+   * @param {Token} observer - The observing token
+   * @param {Token} target - The observed token
+   * @returns {Promise<string>} The perceived light level ('bright', 'dim', or 'dark')
+   */
+  static async getPerceivedLightLevel(observer, target) {
+    const lightLevel = TokenHelpers.getStoredLightLevel(target) ?? (await LightingCalculator.determineLightLevel(target));
+    return this.perceiveLightLevel(observer, target, lightLevel);
+  }
+
+  /**
+   * Apply an observer's senses to a known light level of a target
+   * Synchronous so it can be used from roll hooks with the target's stored light level
+   * @param {Token} observer - The observing token
+   * @param {Token} target - The observed token
+   * @param {string} lightLevel - The target's light level ('bright', 'dim', or 'dark')
+   * @returns {string} The perceived light level ('bright', 'dim', or 'dark')
+   */
+  static perceiveLightLevel(observer, target, lightLevel) {
+    if (!observer || observer === target || LightTiers.getIndex(lightLevel) < 0) return lightLevel;
+
+    const senses = this.getSenses(observer);
+    const distance = this.getDistance(observer, target);
+    const magicalDarkness = this.isInMagicalDarkness(target);
+
+    const perceivedLevel = this.applySenses(LightTiers.getIndex(lightLevel), senses, distance, magicalDarkness);
+    const perceivedText = LightingCalculator.convertLightLevelToText(perceivedLevel);
+
+    log(3, `Token ${observer.id} perceives token ${target.id} in ${perceivedText} light (actual: ${lightLevel})`);
+    return perceivedText;
+  }
+
+  /**
+   * Apply an observer's senses to a numeric light level
+   * Blindsight always perceives bright light. Truesight and Devil's Sight see through all darkness.
+   * Darkvision does not work in magical darkness, except PF2e greater darkvision.
+   * Senses never lower the level, tiers brighter than bright light are perceived as they are.
+   * @param {number} lightLevel - The numeric light level of the target
+   * @param {Object<string, number>} senses - Sense ranges from getSenses
+   * @param {number} distance - Distance between observer and target in scene units
+   * @param {boolean} magicalDarkness - Whether the target is in magical darkness
+   * @returns {number} The perceived numeric light level
+   */
+  static applySenses(lightLevel, senses, distance, magicalDarkness) {
+    const inRange = (sense) => (senses[sense] ?? 0) >= distance;
+    const { DIM, BRIGHT } = LightTiers;
+    const isDim = lightLevel >= DIM && lightLevel < BRIGHT;
+
+    if (lightLevel >= BRIGHT) return lightLevel;
+    if (inRange(SENSES.BLINDSIGHT)) return BRIGHT;
+    if (inRange(SENSES.TRUESIGHT) || inRange(SENSES.DEVILS_SIGHT)) return BRIGHT;
+
+    if (game.system.id === 'pf2e') {
+      if (inRange(SENSES.GREATER_DARKVISION)) return BRIGHT;
+      if (magicalDarkness) return lightLevel;
+      if (inRange(SENSES.DARKVISION)) return BRIGHT;
+      if (isDim && inRange(SENSES.LOW_LIGHT_VISION)) return BRIGHT;
+      return lightLevel;
+    }
+
+    // Darkvision treats darkness as dim light and dim light as bright light
+    if (magicalDarkness) return lightLevel;
+    if (inRange(SENSES.DARKVISION)) return lightLevel < DIM ? DIM : BRIGHT;
+    if (isDim && inRange(SENSES.LOW_LIGHT_VISION)) return BRIGHT;
+
+    return lightLevel;
+  }
+
+  /**
+   * Get the senses of a token with their ranges in scene units
+   * When several sources grant the same sense the longest range is used
+   * @param {Token} token - The token
+   * @returns {Object<string, number>} Sense ranges keyed by SENSES value, Infinity for unlimited
+   */
+  static getSenses(token) {
+    const senses = {};
+    const addSense = (sense, range) => {
+      const senseRange = range === null || range === undefined ? Infinity : Number(range);
+      if (!sense || !(senseRange > 0)) return;
+      senses[sense] = Math.max(senses[sense] ?? 0, senseRange);
+    };
+
+    // Detection modes configured on the token
+    for (const mode of this._getDetectionModes(token.document)) {
+      if (mode.enabled === false) continue;
+      addSense(this.DETECTION_MODE_SENSES[mode.id], mode.range);
+    }
+
+    // Vision mode and range configured on the token
+    const sight = token.document.sight;
+    if (sight?.enabled) {
+      addSense(this.VISION_MODE_SENSES[sight.visionMode], sight.range);
+    }
+
+    // Senses from the actor's system data
+    if (token.actor) {
+      for (const [sense, range] of Object.entries(SystemAdapters.current.senses(token.actor) ?? {})) {
+        addSense(sense, range);
+      }
+    }
+
+    return senses;
+  }
+
+  /**
+   * Get the distance between two tokens in scene units, including elevation
+   * @param {Token} observer - The observing token
+   * @param {Token} target - The observed token
+   * @returns {number} The distance
+   */
+  static getDistance(observer, target) {
+    const { distance } = canvas.grid.measurePath([observer.center, target.center]);
+    const elevationDelta = (target.document.elevation ?? 0) - (observer.document.elevation ?? 0);
+    return Math.hypot(distance, elevationDelta);
+  }
+
+  /**
+   * Check whether a token is in magical darkness
+   * Magical darkness is a lighting zone that forces or caps the light level to dark or a darker tier
+   * @param {Token} token - The token
+   * @returns {boolean} True if the token is in magical darkness
+   */
+  static isInMagicalDarkness(token) {
+    const zones = LightingZones.getZones(token, TokenHelpers.resolvePosition(token));
+    return zones.some((zone) => zone.level <= LightTiers.DARK && (zone.mode === ZONE_MODES.FORCE || zone.mode === ZONE_MODES.CAP));
+  }
+
+  /**
+   * Get the detection modes of a token document as a list
+   * @param {TokenDocument} tokenDocument - The token document
+   * @returns {Object[]} Detection modes {id, enabled, range}
+   * @private
+   */
+  static _getDetectionModes(tokenDocument) {
+    const detectionModes = tokenDocument.detectionModes ?? [];
+    if (Array.isArray(detectionModes)) return detectionModes;
+
+    // Detection modes keyed by ID
+    return Object.entries(detectionModes).map(([id, mode]) => ({ id, ...mode }));
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Region behavior for Token Light Condition module
+ * Lets scene regions override the light level of tokens inside them
+ */
+
+import { REGION_BEHAVIOR_TYPE, ZONE_MODES } from '../constants.mjs';
+import { log } from '../logger.mjs';
+import { TokenHelpers } from './helpers.mjs';
+import { LightTiers } from './light-tiers.mjs';
+import { LightingCalculator } from './lighting.mjs';
+
+/**
+ * Region behavior type that forces, caps, or floors the light level of tokens inside its region
+ * Overlapping regions are resolved by priority, see LightingZones.applyZones
+ */
+export class LightLevelRegionBehaviorType extends foundry.data.regionBehaviors.RegionBehaviorType {
+  /**
+   * Define the data schema for the behavior
+   * @returns {Object} The schema fields
+   */
+  static defineSchema() {
+    const fields = foundry.data.fields;
+
+    return {
+      mode: new fields.StringField({
+        required: true,
+        blank: false,
+        initial: ZONE_MODES.FORCE,
+        choices: {
+          [ZONE_MODES.FORCE]: 'TOKENLIGHTCONDITION.Zone.Mode.Choices.Force',
+          [ZONE_MODES.CAP]: 'TOKENLIGHTCONDITION.Zone.Mode.Choices.Cap',
+          [ZONE_MODES.FLOOR]: 'TOKENLIGHTCONDITION.Zone.Mode.Choices.Floor'
+        },
+        label: 'TOKENLIGHTCONDITION.Zone.Mode.Name',
+        hint: 'TOKENLIGHTCONDITION.Zone.Mode.Hint'
+      }),
+      level: new fields.StringField({
+        required: true,
+        blank: false,
+        initial: 'dark',
+        choices: () => LightTiers.getChoices(),
+        label: 'TOKENLIGHTCONDITION.Zone.Level.Name'
+      }),
+      priority: new fields.NumberField({
+        required: true,
+        nullable: false,
+        integer: true,
+        initial: 0,
+        label: 'TOKENLIGHTCONDITION.RegionBehavior.Priority.Name',
+        hint: 'TOKENLIGHTCONDITION.RegionBehavior.Priority.Hint'
+      })
+    };
+  }
+
+  /** @override */
+  static events = {
+    [CONST.REGION_EVENTS.TOKEN_MOVE_IN]: this._onTokenMove,
+    [CONST.REGION_EVENTS.TOKEN_MOVE_OUT]: this._onTokenMove
+  };
+
+  /**
+   * Recalculate lighting for a token entering or leaving the region
+   * Called with the behavior system as its context
+   * @param {RegionEvent} event - The region event
+   * @private
+   */
+  static async _onTokenMove(event) {
+    if (!game.user.isGM || !TokenHelpers.isModuleEnabled()) return;
+
+    const token = event.data.token?.object;
+    if (!token || !TokenHelpers.isValidToken(token)) return;
+
+    log(3, `Token ${token.id} triggered ${event.name} for region ${event.region.id}, updating token lighting`);
+    await LightingCalculator.calculateTokenLighting(token, { refresh: true });
+  }
+
+  /**
+   * Register the behavior type with Foundry
+   * Must be called during the init hook
+   */
+  static register() {
+    CONFIG.RegionBehavior.dataModels[REGION_BEHAVIOR_TYPE] = this;
+    CONFIG.RegionBehavior.typeLabels[REGION_BEHAVIOR_TYPE] = 'TOKENLIGHTCONDITION.RegionBehavior.Label';
+    CONFIG.RegionBehavior.typeIcons[REGION_BEHAVIOR_TYPE] = 'fas fa-moon';
+    log(3, `Registered region behavior type: ${REGION_BEHAVIOR_TYPE}`);
+  }
+}
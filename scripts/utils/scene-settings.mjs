@@ -0,0 +1,114 @@
+/**
+ * Per-scene settings for Token Light Condition module
+ * Resolves scene flag overrides before falling back to world settings
+ */
+
+import { MODULE, SETTINGS, TEMPLATES } from '../constants.mjs';
+import { log } from '../logger.mjs';
+import { ConfigSheets } from './config-sheets.mjs';
+
+/**
+ * Resolves settings that scenes can override and manages the scene configuration tab
+ * Overrides are stored in the scene flags under settings.<settingKey>
+ */
+export class SceneSettings {
+  /** @type {string[]} World settings that can be overridden per scene, in display order */
+  static OVERRIDABLE_SETTINGS = [
+    SETTINGS.ENABLE,
+    SETTINGS.ADD_EFFECTS,
+    SETTINGS.GLOBAL_ILLUMINATION,
+    SETTINGS.DARKNESS_BASELINE,
+    SETTINGS.BRIGHT_THRESHOLD,
+    SETTINGS.DIM_THRESHOLD,
+    SETTINGS.NEGATIVE_LIGHTS,
+    SETTINGS.LIGHT_POLYGONS,
+    SETTINGS.SAMPLING_MODE,
+    SETTINGS.COVERAGE_RULE,
+    SETTINGS.DELAY_CALCULATIONS
+  ];
+
+  /**
+   * Get a setting value, preferring the scene's override when it has one
+   * @param {string} key - The setting key from SETTINGS
+   * @param {Scene} [scene=canvas.scene] - The scene to check for overrides
+   * @returns {*} The resolved setting value
+   */
+  static get(key, scene = canvas.scene) {
+    const override = scene?.getFlag(MODULE.ID, `settings.${key}`);
+    if (override === undefined || override === null || override === '') {
+      return game.settings.get(MODULE.ID, key);
+    }
+
+    // Boolean overrides are stored as the select's string value
+    const settingConfig = game.settings.settings.get(`${MODULE.ID}.${key}`);
+    if (settingConfig?.type === Boolean) return override === true || override === 'true';
+
+    return override;
+  }
+
+  /**
+   * Add the module tab to a scene configuration sheet (GM only)
+   * @param {SceneConfig} app - The scene configuration sheet
+   * @param {HTMLElement|jQuery} html - The rendered sheet HTML
+   */
+  static async addSceneConfigTab(app, html) {
+    if (!game.user.isGM) return;
+
+    const sceneDocument = app.document ?? app.object;
+    if (!sceneDocument) return;
+
+    const overrides = sceneDocument.getFlag(MODULE.ID, 'settings') ?? {};
+    const fields = this.OVERRIDABLE_SETTINGS.map((key) => this._prepareOverrideField(key, overrides[key])).filter(Boolean);
+
+    await ConfigSheets.injectTab(app, html, {
+      label: 'TOKENLIGHTCONDITION.SceneConfig.Tab',
+      icon: 'fas fa-eye-low-vision',
+      template: TEMPLATES.SCENE_CONFIG,
+      data: { fields }
+    });
+
+    log(3, `Added scene configuration tab for scene ${sceneDocument.id}`);
+  }
+
+  /**
+   * Prepare the form field data for one overridable setting
+   * @param {string} key - The setting key
+   * @param {*} value - The scene's current override value
+   * @returns {Object|null} Field data for the scene configuration template
+   * @private
+   */
+  static _prepareOverrideField(key, value) {
+    const settingConfig = game.settings.settings.get(`${MODULE.ID}.${key}`);
+    if (!settingConfig) return null;
+
+    const worldValue = game.settings.get(MODULE.ID, key);
+    const field = {
+      key,
+      name: game.i18n.localize(key === SETTINGS.ENABLE ? 'TOKENLIGHTCONDITION.SceneConfig.Enable.Name' : settingConfig.name),
+      hint: game.i18n.localize(key === SETTINGS.ENABLE ? 'TOKENLIGHTCONDITION.SceneConfig.Enable.Hint' : settingConfig.hint),
+      value: value ?? ''
+    };
+
+    if (settingConfig.type === Boolean) {
+      const worldLabel = game.i18n.localize(worldValue ? 'TOKENLIGHTCONDITION.SceneConfig.Enabled' : 'TOKENLIGHTCONDITION.SceneConfig.Disabled');
+      field.value = value === undefined || value === null ? '' : String(value);
+      field.choices = {
+        '': game.i18n.format('TOKENLIGHTCONDITION.SceneConfig.UseWorldSetting', { value: worldLabel }),
+        true: game.i18n.localize('TOKENLIGHTCONDITION.SceneConfig.Enabled'),
+        false: game.i18n.localize('TOKENLIGHTCONDITION.SceneConfig.Disabled')
+      };
+    } else if (settingConfig.choices) {
+      const choices = Object.fromEntries(Object.entries(settingConfig.choices).map(([choice, label]) => [choice, game.i18n.localize(label)]));
+      field.choices = {
+        '': game.i18n.format('TOKENLIGHTCONDITION.SceneConfig.UseWorldSetting', { value: choices[worldValue] ?? worldValue }),
+        ...choices
+      };
+    } else {
+      field.isNumber = true;
+      field.placeholder = worldValue;
+      field.range = settingConfig.range;
+    }
+
+    return field;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Status effects for Token Light Condition module
+ * Registers the lighting effects in CONFIG.statusEffects so they can be toggled and queried like core statuses
+ */
+
+import { MODULE } from '../constants.mjs';
+import { log } from '../logger.mjs';
+import { EffectTemplates } from './effect-templates.mjs';
+import { LightTiers } from './light-tiers.mjs';
+
+/**
+ * Keeps a status effect entry for every light tier with an effect, built from its effect template
+ * The status ID is the tier ID, so actor.statuses.has('dim') works for tokens in dim light
+ */
+export class LightStatusEffects {
+  /**
+   * Register or refresh the status effect entries
+   * Entries from an earlier registration are replaced so renamed or removed tiers do not linger
+   */
+  static register() {
+    // PF2e applies lighting as effect items and conditions instead of statuses
+    if (game.system.id === 'pf2e') return;
+
+    for (let i = CONFIG.statusEffects.length - 1; i >= 0; i--) {
+      if (CONFIG.statusEffects[i].flags?.[MODULE.ID]) CONFIG.statusEffects.splice(i, 1);
+    }
+
+    for (const tier of LightTiers.getAll()) {
+      if (!tier.effect) continue;
+
+      if (CONFIG.statusEffects.some((status) => status.id === tier.id)) {
+        log(2, `Status effect ${tier.id} is registered by another package, its lighting effect is not a status effect`);
+        continue;
+      }
+
+      CONFIG.statusEffects.push(this._createStatusEffect(tier.id));
+    }
+
+    log(3, 'Registered lighting status effects');
+  }
+
+  /**
+   * Get the status effect entry of a light tier registered by this module
+   * @param {string} tierId - The light tier ID
+   * @returns {Object|undefined} The CONFIG.statusEffects entry
+   */
+  static get(tierId) {
+    return CONFIG.statusEffects.find((status) => status.id === tierId && status.flags?.[MODULE.ID]);
+  }
+
+  /**
+   * Get the static document ID of a light tier's status effect
+   * Foundry requires one for status effects that add more than one status
+   * Built from two hashes of the full tier ID, so IDs differing only in punctuation or after a shared prefix do not collide
+   * @param {string} tierId - The light tier ID
+   * @returns {string} A 16 character document ID
+   */
+  static getEffectId(tierId) {
+    let fnvHash = 0x811c9dc5;
+    let djbHash = 5381;
+    for (let i = 0; i < tierId.length; i++) {
+      const code = tierId.charCodeAt(i);
+      fnvHash = Math.imul(fnvHash ^ code, 0x01000193);
+      djbHash = (Math.imul(djbHash, 33) + code) | 0;
+    }
+
+    const toBase36 = (hash) => (hash >>> 0).toString(36).padStart(7, '0');
+    return `tl${toBase36(fnvHash)}${toBase36(djbHash)}`;
+  }
+
+  /**
+   * Create the status effect entry of a light tier from its effect template
+   * @param {string} tierId - The light tier ID
+   * @returns {Object} The CONFIG.statusEffects entry
+   * @private
+   */
+  static _createStatusEffect(tierId) {
+    const { flags, ...effectData } = EffectTemplates.getEffectData(tierId);
+
+    return {
+      ...effectData,
+      id: tierId,
+      _id: this.getEffectId(tierId),
+      flags: {
+        [MODULE.ID]: {
+          type: tierId,
+          lightLevel: tierId
+        }
+      }
+    };
+  }
+}
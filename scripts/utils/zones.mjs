@@ -0,0 +1,212 @@
+/**
+ * Lighting zone system for Token Light Condition module
+ * Handles areas that force, cap, or floor the light level of tokens inside them
+ */
+
+import { MODULE, REGION_BEHAVIOR_TYPE, TEMPLATES, ZONE_MODES } from '../constants.mjs';
+import { log } from '../logger.mjs';
+import { ConfigSheets } from './config-sheets.mjs';
+import { TokenHelpers } from './helpers.mjs';
+import { LightTiers } from './light-tiers.mjs';
+
+/**
+ * Collects lighting zones containing a token and applies them to a calculated light level
+ */
+export class LightingZones {
+  /** @type {Object<string, number>} Order in which zone modes are applied within the same priority */
+  static MODE_ORDER = {
+    [ZONE_MODES.FLOOR]: 0,
+    [ZONE_MODES.CAP]: 1,
+    [ZONE_MODES.FORCE]: 2
+  };
+
+  /**
+   * Get all lighting zones that contain a token position
+   * @param {Token} token - The token to check
+   * @param {Object} point - The resolved token position {x, y, elevation}
+   * @returns {Object[]} Matching zones with their mode, numeric level and priority
+   */
+  static getZones(token, point) {
+    return [...this._getDrawingZones(token, point), ...this._getRegionZones(token, point)];
+  }
+
+  /**
+   * Apply lighting zones to a light level
+   * Zones are applied by ascending priority so the highest priority zone has the final say
+   * @param {number} lightLevel - The calculated numeric light level
+   * @param {Object[]} zones - Zones from getZones
+   * @returns {number} The adjusted numeric light level
+   */
+  static applyZones(lightLevel, zones) {
+    const sortedZones = [...zones].sort((a, b) => a.priority - b.priority || this.MODE_ORDER[a.mode] - this.MODE_ORDER[b.mode]);
+
+    let adjustedLevel = lightLevel;
+    for (const zone of sortedZones) {
+      switch (zone.mode) {
+        case ZONE_MODES.FORCE:
+          adjustedLevel = zone.level;
+          break;
+        case ZONE_MODES.CAP:
+          adjustedLevel = Math.min(adjustedLevel, zone.level);
+          break;
+        case ZONE_MODES.FLOOR:
+          adjustedLevel = Math.max(adjustedLevel, zone.level);
+          break;
+      }
+    }
+
+    if (adjustedLevel !== lightLevel) {
+      log(3, `Lighting zones changed light level from ${lightLevel} to ${adjustedLevel}`);
+    }
+
+    return adjustedLevel;
+  }
+
+  /**
+   * Add the lighting zone tab to a drawing configuration sheet (GM only)
+   * @param {DrawingConfig} app - The drawing configuration sheet
+   * @param {HTMLElement|jQuery} html - The rendered sheet HTML
+   */
+  static async addDrawingConfigTab(app, html) {
+    if (!game.user.isGM) return;
+
+    const drawingDocument = app.document ?? app.object;
+    const zoneData = drawingDocument?.getFlag(MODULE.ID, 'zone') ?? {};
+
+    await ConfigSheets.injectTab(app, html, {
+      label: 'TOKENLIGHTCONDITION.Zone.Tab',
+      icon: 'fas fa-moon',
+      template: TEMPLATES.DRAWING_ZONE,
+      data: {
+        zone: {
+          enabled: zoneData.enabled ?? false,
+          mode: zoneData.mode ?? ZONE_MODES.FORCE,
+          level: zoneData.level ?? 'dark',
+          bottom: zoneData.bottom ?? null,
+          top: zoneData.top ?? null
+        },
+        modes: this.getModeChoices(),
+        levels: LightTiers.getChoices()
+      }
+    });
+  }
+
+  /**
+   * Check whether a document is a lighting zone, before or after an update
+   * Regions are zones when any of their behaviors is, including behaviors created together with the region
+   * @param {Document} document - The drawing, region, or region behavior document
+   * @param {Object} [changes={}] - Changes applied to the document
+   * @returns {boolean} True if the document defines a lighting zone
+   */
+  static isZoneDocument(document, changes = {}) {
+    switch (document.documentName) {
+      case 'RegionBehavior':
+        return document.type === REGION_BEHAVIOR_TYPE;
+      case 'Region':
+        return (document.behaviors ?? []).some((behavior) => behavior.type === REGION_BEHAVIOR_TYPE);
+      default:
+        return Boolean(document.getFlag(MODULE.ID, 'zone')?.enabled) || foundry.utils.hasProperty(changes, `flags.${MODULE.ID}.zone`);
+    }
+  }
+
+  /**
+   * Get localized choices for zone modes
+   * @returns {Object<string, string>} Mode choices
+   */
+  static getModeChoices() {
+    return {
+      [ZONE_MODES.FORCE]: 'TOKENLIGHTCONDITION.Zone.Mode.Choices.Force',
+      [ZONE_MODES.CAP]: 'TOKENLIGHTCONDITION.Zone.Mode.Choices.Cap',
+      [ZONE_MODES.FLOOR]: 'TOKENLIGHTCONDITION.Zone.Mode.Choices.Floor'
+    };
+  }
+
+  /**
+   * Check whether a document's zone elevation bounds contain an elevation
+   * Empty bounds are treated as unlimited
+   * @param {Object} zoneData - The zone flag data
+   * @param {number} elevation - The elevation to test
+   * @returns {boolean} True if the elevation is within bounds
+   * @private
+   */
+  static _isWithinElevation(zoneData, elevation) {
+    const bottom = Number.isFinite(zoneData.bottom) ? zoneData.bottom : -Infinity;
+    const top = Number.isFinite(zoneData.top) ? zoneData.top : Infinity;
+    return elevation >= bottom && elevation <= top;
+  }
+
+  /**
+   * Get lighting zones defined by drawings
+   * @param {Token} token - The token to check
+   * @param {Object} point - The resolved token position
+   * @returns {Object[]} Matching drawing zones
+   * @private
+   */
+  static _getDrawingZones(token, point) {
+    const drawings = canvas.drawings?.placeables ?? [];
+    const zones = [];
+
+    for (const drawing of drawings) {
+      const zoneData = drawing.document.getFlag(MODULE.ID, 'zone');
+      if (!zoneData?.enabled) continue;
+
+      const level = LightTiers.getIndex(zoneData.level);
+      if (level < 0 || !Object.values(ZONE_MODES).includes(zoneData.mode)) {
+        log(2, `Drawing ${drawing.id} has an invalid lighting zone configuration`);
+        continue;
+      }
+
+      if (!this._isWithinElevation(zoneData, point.elevation)) continue;
+      if (!TokenHelpers.isTokenWithinDrawing(drawing.document, token, point)) continue;
+
+      log(3, `Token ${token.id} is within lighting zone drawing ${drawing.id}`);
+      zones.push({ type: 'drawing', document: drawing.document, mode: zoneData.mode, level, priority: 0 });
+    }
+
+    return zones;
+  }
+
+  /**
+   * Get lighting zones defined by region behaviors
+   * @param {Token} token - The token to check
+   * @param {Object} point - The resolved token position
+   * @returns {Object[]} Matching region zones
+   * @private
+   */
+  static _getRegionZones(token, point) {
+    const regions = canvas.scene?.regions ?? [];
+    const zones = [];
+
+    for (const region of regions) {
+      const behaviors = region.behaviors.filter((behavior) => behavior.type === REGION_BEHAVIOR_TYPE && !behavior.disabled);
+      if (!behaviors.length) continue;
+      if (!this._isPointInRegion(region, point)) continue;
+
+      for (const behavior of behaviors) {
+        const level = LightTiers.getIndex(behavior.system.level);
+        if (level < 0) continue;
+
+        log(3, `Token ${token.id} is within lighting zone region ${region.id}`);
+        zones.push({ type: 'region', document: behavior, mode: behavior.system.mode, level, priority: behavior.system.priority });
+      }
+    }
+
+    return zones;
+  }
+
+  /**
+   * Test whether a point is inside a region, including its elevation range
+   * @param {RegionDocument} region - The region document
+   * @param {Object} point - The point to test {x, y, elevation}
+   * @returns {boolean} True if the point is inside the region
+   * @private
+   */
+  static _isPointInRegion(region, point) {
+    // Foundry v13 takes an elevated point, v12 takes the elevation separately
+    if (game.release.generation >= 13) {
+      return region.testPoint({ x: point.x, y: point.y, elevation: point.elevation });
+    }
+
+    return region.testPoint({ x: point.x, y: point.y }, point.elevation);
+  }
+}